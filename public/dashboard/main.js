@@ -1,4 +1,6 @@
 // React dashboard that polls /metrics.json and displays document metadata
+// Requests use paths relative to the dashboard so it also works when the sync
+// routes are mounted under a prefix (e.g. /sync/dashboard/).
 const { useEffect, useState, useMemo } = window.React
 const rootEl = document.getElementById('root')
 
@@ -11,7 +13,7 @@ function useMetrics(intervalMs = 3000) {
   const load = async () => {
     try {
       setError(null)
-      const res = await fetch('/metrics.json', { cache: 'no-store', credentials: 'same-origin' })
+      const res = await fetch('../metrics.json', { cache: 'no-store', credentials: 'same-origin' })
       if (res.status === 401) {
         setAuthRequired(true)
         setData(null)
@@ -51,6 +53,30 @@ const fmt = {
   }
 }
 
+// Content matches from /search for the dashboard's search box, by document ID
+function useSearch(query) {
+  const [hits, setHits] = useState({})
+  useEffect(() => {
+    const q = query.trim()
+    if (!q) {
+      setHits({})
+      return
+    }
+    const t = setTimeout(async () => {
+      try {
+        const res = await fetch(`../search?q=${encodeURIComponent(q)}&limit=100`, { cache: 'no-store', credentials: 'same-origin' })
+        if (!res.ok) throw new Error(`HTTP ${res.status}`)
+        const json = await res.json()
+        setHits(Object.fromEntries((json.results || []).map(r => [r.docId, r])))
+      } catch {
+        setHits({})
+      }
+    }, 250)
+    return () => clearTimeout(t)
+  }, [query])
+  return hits
+}
+
 function Stat({ label, children }) {
   return (
     window.React.createElement('div', { className: 'card stat' },
@@ -60,7 +86,7 @@ function Stat({ label, children }) {
   )
 }
 
-function DocsTable({ docs, onChanged }) {
+function DocsTable({ docs, onChanged, snippets = {} }) {
   if (!docs || docs.length === 0) return window.React.createElement('p', { className: 'muted' }, 'No documents found.')
   const rows = docs.slice().sort((a,b)=> b.mtimeMs - a.mtimeMs)
   return (
@@ -70,6 +96,7 @@ function DocsTable({ docs, onChanged }) {
           window.React.createElement('tr', null,
             window.React.createElement('th', null, 'Document ID'),
             window.React.createElement('th', null, 'Label'),
+            window.React.createElement('th', null, 'Owner'),
             window.React.createElement('th', null, 'Size'),
             window.React.createElement('th', null, 'Last Modified'),
           ),
@@ -95,7 +122,7 @@ function DocsTable({ docs, onChanged }) {
                       const pwd = prompt(doc.protected ? 'Set a new password for this document' : 'Set a password to protect this document')
                       if (!pwd) return
                       try {
-                        const res = await fetch(`/docs/${encodeURIComponent(doc.id)}/protect`, {
+                        const res = await fetch(`../docs/${encodeURIComponent(doc.id)}/protect`, {
                           method: 'POST',
                           headers: { 'Content-Type': 'application/json' },
                           credentials: 'same-origin',
@@ -111,6 +138,59 @@ function DocsTable({ docs, onChanged }) {
                       }
                     }
                   }, doc.protected ? 'Change password' : 'Protect'),
+                  // Visibility button
+                  window.React.createElement('button', {
+                    className: 'copy-btn',
+                    title: 'Who can read this document: public, link-only or private',
+                    onClick: async () => {
+                      const next = prompt('Visibility (public, link-only, private)', doc.visibility || 'public')
+                      if (!next) return
+                      try {
+                        const res = await fetch(`../docs/${encodeURIComponent(doc.id)}/visibility`, {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          credentials: 'same-origin',
+                          body: JSON.stringify({ visibility: next.trim() })
+                        })
+                        if (!res.ok) {
+                          alert('Failed to update visibility')
+                          return
+                        }
+                        onChanged?.()
+                      } catch {
+                        alert('Failed to update visibility')
+                      }
+                    }
+                  }, doc.visibility || 'public'),
+                  // Share link button
+                  window.React.createElement('button', {
+                    className: 'copy-btn',
+                    title: 'Create a link that grants access to this document',
+                    onClick: async () => {
+                      const access = prompt('Access for the link (read, write)', 'read')
+                      if (!access) return
+                      const hours = prompt('Expires after how many hours?', '24')
+                      if (!hours) return
+                      try {
+                        const res = await fetch(`../docs/${encodeURIComponent(doc.id)}/shares`, {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          credentials: 'same-origin',
+                          body: JSON.stringify({ access: access.trim(), expiresInSeconds: Number(hours) * 3600 })
+                        })
+                        if (!res.ok) {
+                          alert('Failed to create share link')
+                          return
+                        }
+                        const { path } = await res.json()
+                        const url = new URL(path, location.href).toString()
+                        try { await navigator.clipboard.writeText(url) } catch {}
+                        prompt('Share link (POST to redeem; copied to clipboard)', url)
+                      } catch {
+                        alert('Failed to create share link')
+                      }
+                    }
+                  }, 'Share'),
                   // Login to edit button
                   window.React.createElement('button', {
                     className: 'copy-btn',
@@ -119,7 +199,7 @@ function DocsTable({ docs, onChanged }) {
                       const pwd = prompt('Enter document password to enable edits for this browser session')
                       if (!pwd) return
                       try {
-                        const res = await fetch(`/docs/${encodeURIComponent(doc.id)}/login`, {
+                        const res = await fetch(`../docs/${encodeURIComponent(doc.id)}/login`, {
                           method: 'POST',
                           headers: { 'Content-Type': 'application/json' },
                           credentials: 'same-origin',
@@ -134,13 +214,83 @@ function DocsTable({ docs, onChanged }) {
                         alert('Login failed')
                       }
                     }
-                  }, 'Login to edit')
+                  }, 'Login to edit'),
+                  // Export: full history as .automerge, or a JSON snapshot
+                  window.React.createElement('a', {
+                    className: 'copy-btn',
+                    href: `../docs/${encodeURIComponent(doc.id)}/export`,
+                    title: 'Download with full history (Automerge binary)'
+                  }, 'Export'),
+                  window.React.createElement('a', {
+                    className: 'copy-btn',
+                    href: `../docs/${encodeURIComponent(doc.id)}/export?format=json`,
+                    title: 'Download the current state as JSON'
+                  }, 'JSON'),
+                  // Trash buttons: delete, or restore / purge once deleted
+                  doc.deleted
+                    ? window.React.createElement('span', { className: 'muted', title: 'In the trash' }, `🗑 purged ${fmt.dateISO(doc.purgeAt)}`)
+                    : null,
+                  doc.deleted
+                    ? window.React.createElement('button', {
+                        className: 'copy-btn',
+                        title: 'Take this document out of the trash',
+                        onClick: async () => {
+                          try {
+                            const res = await postJSON(`../docs/${encodeURIComponent(doc.id)}/restore`, null)
+                            if (!res.ok) {
+                              alert('Failed to restore document')
+                              return
+                            }
+                            onChanged?.()
+                          } catch {
+                            alert('Failed to restore document')
+                          }
+                        }
+                      }, 'Restore')
+                    : window.React.createElement('button', {
+                        className: 'copy-btn',
+                        title: 'Move this document to the trash',
+                        onClick: async () => {
+                          if (!confirm('Move this document to the trash? It can be restored until it is purged.')) return
+                          try {
+                            const res = await postJSON(`../docs/${encodeURIComponent(doc.id)}`, null, 'DELETE')
+                            if (!res.ok) {
+                              alert('Failed to delete document')
+                              return
+                            }
+                            onChanged?.()
+                          } catch {
+                            alert('Failed to delete document')
+                          }
+                        }
+                      }, 'Delete'),
+                  doc.deleted
+                    ? window.React.createElement('button', {
+                        className: 'copy-btn',
+                        title: 'Remove this document and its metadata for good',
+                        onClick: async () => {
+                          if (!confirm('Purge this document now? This cannot be undone.')) return
+                          try {
+                            const res = await postJSON(`../docs/${encodeURIComponent(doc.id)}/purge`, null)
+                            if (!res.ok) {
+                              alert('Failed to purge document')
+                              return
+                            }
+                            onChanged?.()
+                          } catch {
+                            alert('Failed to purge document')
+                          }
+                        }
+                      }, 'Purge now')
+                    : null
                 )
               ),
               // Human-readable label column
               window.React.createElement('td', null,
                 window.React.createElement('div', { className: 'id-wrap' },
-                  window.React.createElement('span', { className: 'muted' }, doc.label || '—'),
+                  window.React.createElement('span', { className: 'muted' }, doc.label || '—',
+                    snippets[doc.id] ? window.React.createElement('span', { className: 'snippet' }, snippets[doc.id]) : null,
+                  ),
                   window.React.createElement('button', {
                     className: 'copy-btn',
                     title: 'Edit label',
@@ -148,7 +298,7 @@ function DocsTable({ docs, onChanged }) {
                       const next = prompt('Label for this document', doc.label || '')
                       if (next === null) return
                       try {
-                        const res = await fetch(`/docs/${encodeURIComponent(doc.id)}/label`, {
+                        const res = await fetch(`../docs/${encodeURIComponent(doc.id)}/label`, {
                           method: 'POST',
                           headers: { 'Content-Type': 'application/json' },
                           credentials: 'same-origin',
@@ -166,6 +316,35 @@ function DocsTable({ docs, onChanged }) {
                   }, 'Edit label')
                 )
               ),
+              // Owner column: admins can reassign or clear ownership
+              window.React.createElement('td', null,
+                window.React.createElement('div', { className: 'id-wrap' },
+                  doc.ownerId ? window.React.createElement('code', null, doc.ownerId) : window.React.createElement('span', { className: 'muted' }, '—'),
+                  window.React.createElement('button', {
+                    className: 'copy-btn',
+                    title: 'Reassign or clear the owner',
+                    onClick: async () => {
+                      const next = prompt('New owner userId (leave empty to clear)', doc.ownerId || '')
+                      if (next === null) return
+                      try {
+                        const res = await fetch(`../admin/docs/${encodeURIComponent(doc.id)}/owner`, {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          credentials: 'same-origin',
+                          body: JSON.stringify({ ownerId: next.trim() || null })
+                        })
+                        if (!res.ok) {
+                          alert('Failed to update owner')
+                          return
+                        }
+                        onChanged?.()
+                      } catch {
+                        alert('Failed to update owner')
+                      }
+                    }
+                  }, 'Reassign')
+                )
+              ),
               window.React.createElement('td', null, fmt.bytes(doc.sizeBytes)),
               window.React.createElement('td', null, fmt.dateISO(doc.mtimeMs)),
             )
@@ -176,36 +355,368 @@ function DocsTable({ docs, onChanged }) {
   )
 }
 
+function useAdmin() {
+  const [admin, setAdmin] = useState(null)
+  const load = async () => {
+    try {
+      const res = await fetch('../admin/me', { cache: 'no-store', credentials: 'same-origin' })
+      const json = await res.json()
+      setAdmin(json.admin || null)
+    } catch {
+      setAdmin(null)
+    }
+  }
+  useEffect(() => { load() }, [])
+  return { admin, reloadAdmin: load }
+}
+
+async function postJSON(url, body, method = 'POST') {
+  return fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'same-origin',
+    body: body ? JSON.stringify(body) : undefined
+  })
+}
+
+// Upload an exported .automerge file as a new document, or merge it into an existing one
+async function importDocument() {
+  const input = document.createElement('input')
+  input.type = 'file'
+  input.accept = '.automerge'
+  const file = await new Promise(resolve => {
+    input.onchange = () => resolve(input.files?.[0] || null)
+    input.click()
+  })
+  if (!file) return false
+  const target = prompt('Merge into document ID (leave empty to create a new document)', '')
+  if (target === null) return false
+  const form = new FormData()
+  form.append('file', file)
+  if (target.trim()) form.append('docId', target.trim())
+  try {
+    const res = await fetch('../docs/import', { method: 'POST', credentials: 'same-origin', body: form })
+    const json = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`Failed to import document${json.error ? `: ${json.error}` : ''}`)
+      return false
+    }
+    prompt(json.merged ? 'Merged into' : 'Imported as', json.url)
+    return true
+  } catch {
+    alert('Failed to import document')
+    return false
+  }
+}
+
+// Owner-only list of admin accounts with add / remove / reset password
+function AccountsPanel({ me }) {
+  const [accounts, setAccounts] = useState([])
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    try {
+      const res = await fetch('../admin/accounts', { cache: 'no-store', credentials: 'same-origin' })
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+      setAccounts((await res.json()).accounts || [])
+      setError('')
+    } catch (e) {
+      setError(e.message || String(e))
+    }
+  }
+  useEffect(() => { load() }, [])
+
+  const add = async () => {
+    const username = prompt('Username')
+    if (!username) return
+    const role = prompt('Role (viewer, operator, owner)', 'viewer')
+    if (!role) return
+    const password = prompt(`Password for ${username}`)
+    if (!password) return
+    const res = await postJSON('../admin/accounts', { username: username.trim(), password, role: role.trim() })
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}))
+      alert(`Failed to add account${json.error ? `: ${json.error}` : ''}`)
+    }
+    load()
+  }
+  const remove = async (username) => {
+    if (!confirm(`Remove admin ${username}?`)) return
+    const res = await postJSON(`../admin/accounts/${encodeURIComponent(username)}`, null, 'DELETE')
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}))
+      alert(`Failed to remove account${json.error ? `: ${json.error}` : ''}`)
+    }
+    load()
+  }
+  const rotate = async (username) => {
+    const password = prompt(`New password for ${username}`)
+    if (!password) return
+    const res = await postJSON(`../admin/accounts/${encodeURIComponent(username)}/rotate`, { password })
+    if (!res.ok) alert('Failed to set password')
+    load()
+  }
+
+  return (
+    window.React.createElement('section', { className: 'docs' },
+      window.React.createElement('h2', null, 'Admin accounts'),
+      error ? window.React.createElement('p', { className: 'error' }, error) : null,
+      window.React.createElement('div', { className: 'table-wrap' },
+        window.React.createElement('table', { className: 'table' },
+          window.React.createElement('thead', null,
+            window.React.createElement('tr', null,
+              window.React.createElement('th', null, 'Username'),
+              window.React.createElement('th', null, 'Role'),
+              window.React.createElement('th', null, 'Password set'),
+              window.React.createElement('th', null, ''),
+            ),
+          ),
+          window.React.createElement('tbody', null,
+            accounts.map(a => (
+              window.React.createElement('tr', { key: a.username },
+                window.React.createElement('td', null, window.React.createElement('code', null, a.username)),
+                window.React.createElement('td', null, a.role),
+                window.React.createElement('td', null, fmt.dateISO(a.rotatedAt ?? a.createdAt)),
+                window.React.createElement('td', null,
+                  window.React.createElement('button', { className: 'copy-btn', onClick: () => rotate(a.username) }, 'Reset password'),
+                  a.username === me?.username ? null :
+                    window.React.createElement('button', { className: 'copy-btn', onClick: () => remove(a.username) }, 'Remove'),
+                ),
+              )
+            ))
+          )
+        )
+      ),
+      window.React.createElement('div', { className: 'toolbar' },
+        window.React.createElement('button', { onClick: add }, 'Add account'),
+      )
+    )
+  )
+}
+
+// Owner-only webhook registry with the latest delivery attempts
+function WebhooksPanel() {
+  const [hooks, setHooks] = useState([])
+  const [events, setEvents] = useState([])
+  const [deliveries, setDeliveries] = useState([])
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    try {
+      const [hooksRes, logRes] = await Promise.all([
+        fetch('../admin/webhooks', { cache: 'no-store', credentials: 'same-origin' }),
+        fetch('../admin/webhooks/deliveries?limit=50', { cache: 'no-store', credentials: 'same-origin' }),
+      ])
+      if (!hooksRes.ok) throw new Error(`HTTP ${hooksRes.status}`)
+      if (!logRes.ok) throw new Error(`HTTP ${logRes.status}`)
+      const json = await hooksRes.json()
+      setHooks(json.webhooks || [])
+      setEvents(json.events || [])
+      setDeliveries((await logRes.json()).deliveries || [])
+      setError('')
+    } catch (e) {
+      setError(e.message || String(e))
+    }
+  }
+  useEffect(() => {
+    load()
+    const t = setInterval(load, 5000)
+    return () => clearInterval(t)
+  }, [])
+
+  const add = async () => {
+    const url = prompt('Endpoint URL')
+    if (!url) return
+    const list = prompt(`Events, comma separated (${events.join(', ')})`, events.join(', '))
+    if (!list) return
+    const res = await postJSON('../admin/webhooks', {
+      url: url.trim(),
+      events: list.split(',').map(e => e.trim()).filter(Boolean),
+    })
+    const json = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`Failed to add webhook${json.error ? `: ${json.error}` : ''}`)
+      return
+    }
+    prompt('Signing secret (shown only once)', json.secret)
+    load()
+  }
+  const remove = async (hook) => {
+    if (!confirm(`Remove the webhook for ${hook.url}?`)) return
+    const res = await postJSON(`../admin/webhooks/${encodeURIComponent(hook.id)}`, null, 'DELETE')
+    if (!res.ok) alert('Failed to remove webhook')
+    load()
+  }
+
+  const urlOf = (webhookId) => hooks.find(h => h.id === webhookId)?.url
+  return (
+    window.React.createElement('section', { className: 'docs' },
+      window.React.createElement('h2', null, 'Webhooks'),
+      error ? window.React.createElement('p', { className: 'error' }, error) : null,
+      window.React.createElement('div', { className: 'table-wrap' },
+        window.React.createElement('table', { className: 'table' },
+          window.React.createElement('thead', null,
+            window.React.createElement('tr', null,
+              window.React.createElement('th', null, 'URL'),
+              window.React.createElement('th', null, 'Events'),
+              window.React.createElement('th', null, 'Queued'),
+              window.React.createElement('th', null, ''),
+            ),
+          ),
+          window.React.createElement('tbody', null,
+            hooks.map(h => (
+              window.React.createElement('tr', { key: h.id },
+                window.React.createElement('td', null, window.React.createElement('code', null, h.url)),
+                window.React.createElement('td', null, h.events.join(', ')),
+                window.React.createElement('td', null, h.queued),
+                window.React.createElement('td', null,
+                  window.React.createElement('button', { className: 'copy-btn', onClick: () => remove(h) }, 'Remove'),
+                ),
+              )
+            ))
+          )
+        )
+      ),
+      window.React.createElement('div', { className: 'toolbar' },
+        window.React.createElement('button', { onClick: add }, 'Add webhook'),
+      ),
+      window.React.createElement('h3', null, 'Recent deliveries'),
+      window.React.createElement('div', { className: 'table-wrap' },
+        window.React.createElement('table', { className: 'table' },
+          window.React.createElement('thead', null,
+            window.React.createElement('tr', null,
+              window.React.createElement('th', null, 'Time'),
+              window.React.createElement('th', null, 'Event'),
+              window.React.createElement('th', null, 'Document'),
+              window.React.createElement('th', null, 'Endpoint'),
+              window.React.createElement('th', null, 'Attempt'),
+              window.React.createElement('th', null, 'Result'),
+            ),
+          ),
+          window.React.createElement('tbody', null,
+            deliveries.map(d => (
+              window.React.createElement('tr', { key: `${d.deliveryId}-${d.attempt}` },
+                window.React.createElement('td', null, fmt.dateISO(d.at)),
+                window.React.createElement('td', null, d.event),
+                window.React.createElement('td', null, d.docId ? window.React.createElement('code', null, d.docId) : '—'),
+                window.React.createElement('td', null, urlOf(d.webhookId) || d.url),
+                window.React.createElement('td', null, d.attempt),
+                window.React.createElement('td', { className: d.ok ? '' : 'error' },
+                  d.ok ? `${d.status}` : `${d.status ?? d.error ?? 'failed'}${d.final ? ' (gave up)' : ' (will retry)'}`
+                ),
+              )
+            ))
+          )
+        )
+      )
+    )
+  )
+}
+
+// Live WebSocket connections; operators and owners can drop one
+function ConnectionsPanel({ canDisconnect }) {
+  const [connections, setConnections] = useState([])
+  const [error, setError] = useState('')
+
+  const load = async () => {
+    try {
+      const res = await fetch('../admin/connections', { cache: 'no-store', credentials: 'same-origin' })
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+      setConnections((await res.json()).connections || [])
+      setError('')
+    } catch (e) {
+      setError(e.message || String(e))
+    }
+  }
+  useEffect(() => {
+    load()
+    const t = setInterval(load, 3000)
+    return () => clearInterval(t)
+  }, [])
+
+  const disconnect = async (c) => {
+    if (!confirm(`Disconnect ${c.peerId || c.id} (${c.forwardedFor || c.remoteAddress})?`)) return
+    const res = await postJSON(`../admin/connections/${encodeURIComponent(c.id)}`, null, 'DELETE')
+    if (!res.ok) alert('Failed to disconnect')
+    load()
+  }
+
+  return (
+    window.React.createElement('section', { className: 'docs' },
+      window.React.createElement('h2', null, 'Connections'),
+      error ? window.React.createElement('p', { className: 'error' }, error) : null,
+      window.React.createElement('div', { className: 'table-wrap' },
+        window.React.createElement('table', { className: 'table' },
+          window.React.createElement('thead', null,
+            window.React.createElement('tr', null,
+              window.React.createElement('th', null, 'Peer'),
+              window.React.createElement('th', null, 'Address'),
+              window.React.createElement('th', null, 'Who'),
+              window.React.createElement('th', null, 'Connected'),
+              window.React.createElement('th', null, 'In / out'),
+              window.React.createElement('th', null, 'Documents'),
+              canDisconnect ? window.React.createElement('th', null, '') : null,
+            ),
+          ),
+          window.React.createElement('tbody', null,
+            connections.map(c => (
+              window.React.createElement('tr', { key: c.id },
+                window.React.createElement('td', { title: c.userAgent || '' }, c.peerId ? window.React.createElement('code', null, c.peerId) : '—'),
+                window.React.createElement('td', null, c.forwardedFor || c.remoteAddress || '—'),
+                window.React.createElement('td', null, c.admin || (c.apiKeyId ? `key ${c.apiKeyId}` : null) || c.userId || 'anonymous'),
+                window.React.createElement('td', null, fmt.dateISO(c.connectedAt)),
+                window.React.createElement('td', null, `${fmt.bytes(c.bytesIn)} / ${fmt.bytes(c.bytesOut)}`),
+                window.React.createElement('td', null,
+                  c.documents.map(d => window.React.createElement('code', { key: d.documentId, className: 'snippet' }, d.documentId))
+                ),
+                canDisconnect
+                  ? window.React.createElement('td', null,
+                      window.React.createElement('button', { className: 'copy-btn', onClick: () => disconnect(c) }, 'Disconnect'),
+                    )
+                  : null,
+              )
+            ))
+          )
+        )
+      )
+    )
+  )
+}
+
 function App() {
   const { data, error, loading, reload, authRequired, setAuthRequired } = useMetrics(3000)
+  const { admin, reloadAdmin } = useAdmin()
+  const [username, setUsername] = useState("")
   const [password, setPassword] = useState("")
   const [authError, setAuthError] = useState("")
+  const [query, setQuery] = useState("")
+  const hits = useSearch(query)
 
   const login = async (e) => {
     e?.preventDefault?.()
     setAuthError("")
     try {
-      const res = await fetch('/login', {
+      const res = await fetch('../login', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'same-origin',
-        body: JSON.stringify({ password })
+        body: JSON.stringify({ username: username.trim(), password })
       })
       if (!res.ok) {
-        setAuthError('Invalid password')
+        setAuthError('Invalid username or password')
         return
       }
       setPassword("")
       setAuthRequired(false)
-      await reload()
+      await Promise.all([reload(), reloadAdmin()])
     } catch (err) {
       setAuthError('Login failed')
     }
   }
 
   const logout = async () => {
-    try { await fetch('/logout', { method: 'POST', credentials: 'same-origin' }) } catch {}
-    await reload()
+    try { await fetch('../logout', { method: 'POST', credentials: 'same-origin' }) } catch {}
+    await Promise.all([reload(), reloadAdmin()])
   }
 
   if (authRequired) {
@@ -213,13 +724,22 @@ function App() {
       window.React.createElement('div', { className: 'login-wrap' },
         window.React.createElement('h1', null, 'Sync Server Login'),
         window.React.createElement('form', { onSubmit: login, className: 'login-form' },
+          window.React.createElement('label', null, 'Username'),
+          window.React.createElement('input', {
+            type: 'text',
+            value: username,
+            onChange: (e) => setUsername(e.target.value),
+            placeholder: 'Leave empty to use the admin token',
+            autoComplete: 'username',
+            autoFocus: true
+          }),
           window.React.createElement('label', null, 'Password'),
           window.React.createElement('input', {
             type: 'password',
             value: password,
             onChange: (e) => setPassword(e.target.value),
             placeholder: 'Enter password',
-            autoFocus: true
+            autoComplete: 'current-password'
           }),
           window.React.createElement('button', { type: 'submit', disabled: !password }, 'Login'),
         ),
@@ -227,12 +747,18 @@ function App() {
       )
     )
   }
-  const docs = data?.documents
+  // Searching narrows the table to label, ID and content matches
+  const q = query.trim().toLowerCase()
+  const docs = q
+    ? data?.documents?.filter(d => hits[d.id] || d.label?.toLowerCase().includes(q) || d.id.toLowerCase().includes(q))
+    : data?.documents
+  const snippets = Object.fromEntries(Object.values(hits).filter(h => h.snippet).map(h => [h.docId, h.snippet]))
   return (
     window.React.createElement(window.React.Fragment, null,
       window.React.createElement('header', null,
         window.React.createElement('h1', null, 'Sync Server Dashboard'),
         window.React.createElement('span', { className: 'muted' }, data?.hostname ? `host: ${data.hostname}` : '—'),
+        admin ? window.React.createElement('span', { className: 'muted' }, `signed in as ${admin.username} (${admin.role})`) : null,
       ),
       window.React.createElement('div', { className: 'row' },
         window.React.createElement(Stat, { label: 'Status' }, loading ? 'loading…' : (error ? `error: ${error}` : 'ok')),
@@ -243,16 +769,28 @@ function App() {
       window.React.createElement('div', { className: 'toolbar' },
         window.React.createElement('button', { onClick: () => reload(), disabled: loading, title: 'Refresh now' }, 'Refresh'),
         ' ',
-        window.React.createElement('a', { href: '/metrics.json', target: '_blank', rel: 'noreferrer' }, 'metrics.json'),
+        window.React.createElement('a', { href: '../metrics.json', target: '_blank', rel: 'noreferrer' }, 'metrics.json'),
+        ' · ',
+        window.React.createElement('a', { href: '../', target: '_blank', rel: 'noreferrer' }, 'home'),
         ' · ',
-        window.React.createElement('a', { href: '/', target: '_blank', rel: 'noreferrer' }, 'home'),
+        window.React.createElement('button', { onClick: async () => { if (await importDocument()) reload() }, title: 'Import an .automerge file' }, 'Import'),
         ' · ',
         window.React.createElement('button', { onClick: () => logout(), title: 'Logout' }, 'Logout'),
       ),
       window.React.createElement('section', { className: 'docs' },
         window.React.createElement('h2', null, 'Documents'),
-        window.React.createElement(DocsTable, { docs, onChanged: reload })
-      )
+        window.React.createElement('input', {
+          type: 'search',
+          className: 'search',
+          value: query,
+          onChange: (e) => setQuery(e.target.value),
+          placeholder: 'Search labels and content',
+        }),
+        window.React.createElement(DocsTable, { docs, onChanged: reload, snippets })
+      ),
+      admin ? window.React.createElement(ConnectionsPanel, { canDisconnect: admin.role !== 'viewer' }) : null,
+      admin?.role === 'owner' ? window.React.createElement(AccountsPanel, { me: admin }) : null,
+      admin?.role === 'owner' ? window.React.createElement(WebhooksPanel) : null
     )
   )
 }
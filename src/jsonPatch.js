@@ -0,0 +1,197 @@
+// @ts-check
+import * as Automerge from "@automerge/automerge"
+
+/**
+ * Apply JSON Patch (RFC 6902) operations to an Automerge document inside a
+ * change callback. Besides `add`, `remove`, `replace`, `move`, `copy` and
+ * `test` there are two operations for what JSON Patch can't say without
+ * clobbering concurrent edits:
+ *
+ * - `{ op: "splice", path, index, remove?, insert? }` edits a string in place
+ * - `{ op: "increment", path, value? }` bumps a counter (creating it if absent)
+ *
+ * Any failure throws a `PatchError`, which aborts the whole change.
+ */
+
+/**
+ * @typedef {{ op: string, path: string, from?: string, value?: any, index?: number, remove?: number, insert?: string }} PatchOperation
+ */
+
+export class PatchError extends Error {
+  /**
+   * @param {string} code - snake_case reason reported to the client
+   * @param {number} index - the offending operation
+   */
+  constructor(code, index) {
+    super(`${code} (operation ${index})`)
+    this.code = code
+    this.index = index
+  }
+}
+
+/**
+ * @param {string} pointer - a JSON Pointer (RFC 6901), e.g. `/nodes/0/title`
+ * @returns {string[] | null} null if it isn't one
+ */
+export const parsePointer = (pointer) => {
+  if (typeof pointer !== "string") return null
+  if (pointer === "") return []
+  if (!pointer.startsWith("/")) return null
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"))
+}
+
+/**
+ * @param {any} container
+ * @param {string} token
+ * @param {boolean} [appending] - whether `-` (past the end) is allowed
+ * @returns {string | number | null}
+ */
+const keyIn = (container, token, appending = false) => {
+  if (!Array.isArray(container)) return token
+  if (appending && token === "-") return container.length
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) return null
+  const index = Number(token)
+  const max = appending ? container.length : container.length - 1
+  return index <= max ? index : null
+}
+
+const isContainer = (/** @type {any} */ value) =>
+  value !== null && typeof value === "object"
+
+/** A plain copy of a value read from the document, for `move` and `copy`. */
+const plain = (/** @type {any} */ value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+
+/**
+ * @param {any} doc - the change callback's draft
+ * @param {PatchOperation[]} ops
+ */
+export const applyJsonPatch = (doc, ops) => {
+  ops.forEach((op, i) => {
+    /** @param {string} code */
+    const fail = (code) => {
+      throw new PatchError(code, i)
+    }
+    const tokens = parsePointer(op?.path)
+    if (!tokens) return fail("invalid_path")
+
+    /**
+     * Walk to the parent of `path`.
+     * @param {string[]} path
+     */
+    const parentOf = (path) => {
+      let node = doc
+      for (const token of path.slice(0, -1)) {
+        const key = isContainer(node) ? keyIn(node, token) : null
+        if (key === null || !(key in node)) return fail("path_not_found")
+        node = node[key]
+      }
+      if (!isContainer(node)) return fail("path_not_found")
+      return node
+    }
+    /** @param {string[]} path */
+    const read = (path) => {
+      if (!path.length) return doc
+      const parent = parentOf(path)
+      const key = keyIn(parent, path[path.length - 1])
+      if (key === null || !(key in parent)) return fail("path_not_found")
+      return parent[key]
+    }
+    /** @param {string[]} path @param {any} value */
+    const add = (path, value) => {
+      if (!path.length) return fail("cannot_replace_root")
+      const parent = parentOf(path)
+      const key = keyIn(parent, path[path.length - 1], true)
+      if (key === null) return fail("path_not_found")
+      if (Array.isArray(parent)) parent.splice(Number(key), 0, value)
+      else parent[key] = value
+    }
+    /** @param {string[]} path */
+    const remove = (path) => {
+      if (!path.length) return fail("cannot_remove_root")
+      const parent = parentOf(path)
+      const key = keyIn(parent, path[path.length - 1])
+      if (key === null || !(key in parent)) return fail("path_not_found")
+      if (Array.isArray(parent)) parent.splice(Number(key), 1)
+      else delete parent[key]
+    }
+
+    switch (op.op) {
+      case "add":
+        if (!("value" in op)) return fail("missing_value")
+        return add(tokens, op.value)
+      case "remove":
+        return remove(tokens)
+      case "replace": {
+        if (!("value" in op)) return fail("missing_value")
+        if (!tokens.length) return fail("cannot_replace_root")
+        read(tokens)
+        const parent = parentOf(tokens)
+        const key = keyIn(parent, tokens[tokens.length - 1])
+        parent[/** @type {string | number} */ (key)] = op.value
+        return
+      }
+      case "move":
+      case "copy": {
+        const from = parsePointer(/** @type {string} */ (op.from))
+        if (!from) return fail("invalid_from")
+        const value = plain(read(from))
+        if (op.op === "move") {
+          const inside = from.every((token, j) => tokens[j] === token)
+          if (inside && tokens.length > from.length)
+            return fail("move_into_self")
+          remove(from)
+        }
+        return add(tokens, value)
+      }
+      case "test":
+        if (JSON.stringify(plain(read(tokens))) !== JSON.stringify(op.value))
+          return fail("test_failed")
+        return
+      case "splice": {
+        const text = read(tokens)
+        if (typeof text !== "string") return fail("not_a_string")
+        const index = Number(op.index)
+        const removeCount = Number(op.remove ?? 0)
+        if (!Number.isInteger(index) || index < 0 || index > text.length)
+          return fail("invalid_index")
+        if (!Number.isInteger(removeCount) || removeCount < 0)
+          return fail("invalid_remove")
+        // `splice` wants list indices as numbers
+        let node = doc
+        const props = tokens.map((token) => {
+          const key = /** @type {string | number} */ (keyIn(node, token))
+          node = node[key]
+          return key
+        })
+        return Automerge.splice(
+          doc,
+          props,
+          index,
+          removeCount,
+          String(op.insert ?? ""),
+        )
+      }
+      case "increment": {
+        const by = op.value === undefined ? 1 : Number(op.value)
+        if (!Number.isFinite(by)) return fail("invalid_value")
+        if (!tokens.length) return fail("not_a_counter")
+        const parent = parentOf(tokens)
+        const key = keyIn(parent, tokens[tokens.length - 1])
+        if (key === null) return fail("path_not_found")
+        if (!(key in parent)) {
+          if (Array.isArray(parent)) return fail("path_not_found")
+          parent[key] = new Automerge.Counter(by)
+          return
+        }
+        if (!Automerge.isCounter(parent[key])) return fail("not_a_counter")
+        return parent[key].increment(by)
+      }
+      default:
+        return fail("unsupported_op")
+    }
+  })
+}
@@ -0,0 +1,3693 @@
+// @ts-check
+import fs from "fs"
+import express from "express"
+import * as Automerge from "@automerge/automerge"
+import { WebSocketServer } from "ws"
+import { Repo } from "@automerge/automerge-repo"
+import { NodeWSServerAdapter } from "@automerge/automerge-repo-network-websocket"
+import os from "os"
+import crypto from "crypto"
+import path from "path"
+import { fileURLToPath } from "url"
+import multer from "multer"
+import sharp from "sharp"
+import { resolveOptions } from "./options.js"
+import { hashPassword, verifyPassword } from "./passwords.js"
+import { applyJsonPatch, PatchError } from "./jsonPatch.js"
+import { createWebhookDispatcher, WEBHOOK_EVENTS } from "./webhooks.js"
+import { createSearchIndex } from "./search.js"
+import { createRegistry, PROMETHEUS_CONTENT_TYPE } from "./prometheus.js"
+import { createRateLimiter } from "./rateLimit.js"
+import {
+  decodeMessage,
+  documentIdOf,
+  encodeMessage,
+  normalizeDocumentId,
+  resyncMessage,
+  withoutChanges,
+  writeRejectedMessage,
+} from "./protocol.js"
+
+/** The dashboard ships with the package, so resolve it relative to this module. */
+const PUBLIC_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "public",
+)
+
+/**
+ * Who can read a document. `public` is the default; `link-only` documents are
+ * readable by ID but left out of public listings; `private` documents are only
+ * served to admins, doc-token holders and the owner.
+ * @typedef {"public" | "link-only" | "private"} Visibility
+ */
+/** @type {Visibility[]} */
+const VISIBILITIES = ["public", "link-only", "private"]
+
+/**
+ * Admin account roles, weakest first. `viewer` sees the dashboard, metrics and
+ * private documents; `operator` can also change document settings and upload
+ * media; `owner` can also manage admin accounts.
+ * @typedef {"viewer" | "operator" | "owner"} AdminRole
+ */
+/** @type {AdminRole[]} */
+const ADMIN_ROLES = ["viewer", "operator", "owner"]
+
+/**
+ * Session name for logins with the bare AUTH_TOKEN. It can't collide with an
+ * account because usernames are restricted to `[A-Za-z0-9_.-]`.
+ */
+const TOKEN_ADMIN = "(auth-token)"
+const USERNAME_RE = /^[A-Za-z0-9_.-]{1,64}$/
+
+/**
+ * What a collaborator may do on someone else's document. Editors and
+ * commenters can write to it even when it is password protected; viewers can
+ * read it when it is private. While the owner has it locked, only the owner
+ * can write.
+ * @typedef {"editor" | "commenter" | "viewer"} CollaboratorRole
+ */
+/** @type {CollaboratorRole[]} */
+const COLLABORATOR_ROLES = ["editor", "commenter", "viewer"]
+
+/**
+ * API keys look like `amrg_<id>_<secret>`; only a hash of the secret is kept.
+ * WebSocket clients that can't set headers offer the key as the subprotocol
+ * `amrg-key.<key>`.
+ */
+const API_KEY_RE = /^amrg_([0-9a-f]{16})_([A-Za-z0-9_-]{20,})$/
+const API_KEY_PROTOCOL_PREFIX = "amrg-key."
+/** How often `lastUsedAt` is written back for a busy key */
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000
+/** Default and largest page of `/docs/:docId/history` */
+const HISTORY_PAGE_SIZE = 100
+const HISTORY_PAGE_MAX = 1000
+/** A change hash, as used in heads */
+const HEAD_RE = /^[0-9a-f]{64}$/
+/** Comment lines keeping idle event streams open through proxies */
+const SSE_HEARTBEAT_MS = 15 * 1000
+/** How often expired trash is purged */
+const TRASH_SWEEP_INTERVAL_MS = 60 * 60 * 1000
+/** Close code for connections an admin disconnects */
+const ADMIN_DISCONNECT_CLOSE_CODE = 4000
+/** Close code for connections sending frames faster than their rate limit */
+const RATE_LIMIT_CLOSE_CODE = 4429
+/** How long the storage size reported by `/metrics` is reused */
+const STORAGE_SIZE_TTL_MS = 30 * 1000
+
+/**
+ * @typedef {import("./options.js").ServerOptions & {
+ *   path?: string
+ * }} SyncMiddlewareOptions
+ */
+
+/**
+ * @typedef {object} SyncMiddleware
+ * @property {import("express").Router} router - HTTP routes (auth, ACLs, media, dashboard, metrics)
+ * @property {(request: import("http").IncomingMessage, socket: import("stream").Duplex, head: Buffer) => boolean} handleUpgrade
+ *   - claims WebSocket upgrades under `path`; returns false for anything else
+ * @property {(server: import("http").Server) => void} attach - adds `handleUpgrade` as an upgrade listener on `server`
+ * @property {Repo} repo
+ * @property {() => Promise<void>} close - disconnects clients and flushes pending storage writes
+ */
+
+/**
+ * Build the sync server as pieces that can be mounted into an existing Express
+ * app and HTTP server:
+ *
+ *     const sync = createSyncMiddleware({ path: "/sync" })
+ *     app.use("/sync", sync.router)
+ *     sync.attach(httpServer)
+ *
+ * Clients then connect to `ws://host/sync`. `path` only scopes the WebSocket
+ * upgrade; mount `router` under the same prefix.
+ *
+ * @param {SyncMiddlewareOptions} [options]
+ * @returns {SyncMiddleware}
+ */
+export const createSyncMiddleware = (options = {}) => {
+  const opts = resolveOptions(options)
+  const dataDir = opts.dataDir
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true })
+  }
+  const hostname = os.hostname()
+
+  const mountPath = normalizeMountPath(options.path)
+  /** @param {string | undefined} url */
+  const matchesPath = (url) => {
+    if (mountPath === "/") return true
+    const pathname = String(url || "/").split("?")[0]
+    return pathname === mountPath || pathname.startsWith(`${mountPath}/`)
+  }
+
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: opts.limits.maxFrameBytes,
+  })
+
+  /**
+   * What the registry knows about one WebSocket connection. `ip` is the
+   * address limits apply to. `documents` maps each document ID the client
+   * has sent frames about to when it last did.
+   * @typedef {{
+   *   id: string,
+   *   ip: string,
+   *   remoteAddress: string | null,
+   *   forwardedFor: string | null,
+   *   userAgent: string | null,
+   *   peerId: string | null,
+   *   userId: string | null,
+   *   connectedAt: number,
+   *   messagesIn: number,
+   *   messagesOut: number,
+   *   bytesIn: number,
+   *   bytesOut: number,
+   *   documents: Map<string, number>,
+   * }} ConnectionInfo
+   */
+
+  /**
+   * Per-socket state: the credentials from the upgrade request, who the
+   * per-user connection cap counts them as, the registry entry, and the
+   * documents whose changes were stripped (normalized ID -> ID as the client
+   * sent it), see `resyncRejected`.
+   * @typedef {{
+   *   credentials: Credentials,
+   *   userKey: string | null,
+   *   connection: ConnectionInfo,
+   *   rejected: Map<string, string>,
+   * }} ConnectionState
+   */
+
+  /** @type {Set<import('ws').WebSocket>} */
+  const clients = new Set()
+  /** @type {WeakMap<import('ws').WebSocket, ConnectionState>} */
+  const connectionStates = new WeakMap()
+
+  const SERVER_PEER_ID = `storage-server-${hostname}`
+  const AUTH_TOKEN = opts.authToken
+  const DOC_TOKEN_TTL_SECONDS = opts.docTokenTtlSeconds
+  const USER_TOKEN_TTL_SECONDS = opts.userTokenTtlSeconds
+  const SESSION_TTL_SECONDS = opts.sessionTtlSeconds
+  const TRASH_RETENTION_SECONDS = opts.trashRetentionSeconds
+  const SIGNING_SECRETS = opts.signingSecrets.length
+    ? opts.signingSecrets
+    : [loadOrCreateSecret(path.join(dataDir, ".secret"))]
+  const ACL_PATH = `${dataDir}/.acl.json`
+  const LABELS_PATH = `${dataDir}/.labels.json`
+  const OWNERS_PATH = `${dataDir}/.owners.json`
+  const LOCKS_PATH = `${dataDir}/.locks.json`
+  const USERS_PATH = `${dataDir}/.users.json`
+  const ADMINS_PATH = `${dataDir}/.admins.json`
+  const SESSIONS_PATH = `${dataDir}/.sessions.json`
+  const API_KEYS_PATH = `${dataDir}/.apikeys.json`
+  const SHARES_PATH = `${dataDir}/.shares.json`
+  const COLLABORATORS_PATH = `${dataDir}/.collaborators.json`
+  const TRANSFERS_PATH = `${dataDir}/.transfers.json`
+  const TRASH_PATH = `${dataDir}/.trash.json`
+  const AUDIT_PATH = `${dataDir}/.audit.jsonl`
+  const WEBHOOKS_PATH = `${dataDir}/.webhooks.json`
+  const WEBHOOK_QUEUE_PATH = `${dataDir}/.webhook-queue.json`
+  const WEBHOOK_LOG_PATH = `${dataDir}/.webhook-deliveries.jsonl`
+  const SEARCH_INDEX_PATH = `${dataDir}/.search.json`
+  const COOKIE_NAME = "amrg_auth"
+  const USER_COOKIE_NAME = "amrg_user"
+  const router = express.Router()
+
+  // --- Prometheus metrics (see GET /metrics) ---
+  const metrics = createRegistry()
+  const httpDuration = metrics.histogram(
+    "amrg_http_request_duration_seconds",
+    "HTTP request latency by route pattern",
+  )
+  const wsConnections = metrics.counter(
+    "amrg_websocket_connections_total",
+    "WebSocket connections accepted",
+  )
+  const wsMessages = metrics.counter(
+    "amrg_websocket_messages_total",
+    "WebSocket frames received (in) and sent (out)",
+  )
+  const wsBytes = metrics.counter(
+    "amrg_websocket_bytes_total",
+    "WebSocket payload bytes received (in) and sent (out)",
+  )
+  const gateRejections = metrics.counter(
+    "amrg_gate_rejections_total",
+    "Connections, frames and writes refused by access control, by reason",
+  )
+  const loginFailures = metrics.counter(
+    "amrg_login_failures_total",
+    "Failed admin and document password logins",
+  )
+  const assetUploads = metrics.counter(
+    "amrg_asset_uploads_total",
+    "Images processed into media variants, by result",
+  )
+  const sharpDuration = metrics.histogram(
+    "amrg_sharp_duration_seconds",
+    "Time spent turning one image into its media variants",
+  )
+  const limitRejections = metrics.counter(
+    "amrg_limit_rejections_total",
+    "Connections, frames and uploads refused by rate and size limits, by limit",
+  )
+
+  // Time every request under the route pattern that answered it
+  router.use((req, res, next) => {
+    const end = httpDuration.startTimer()
+    res.on("finish", () =>
+      end({
+        method: req.method,
+        route: req.route?.path ? String(req.route.path) : "(unmatched)",
+        status: String(res.statusCode),
+      }),
+    )
+    next()
+  })
+
+  // CORS for HTTP routes (allow Vite dev and preview origins by default)
+  const allowlist = new Set(opts.corsOrigins)
+  router.use((req, res, next) => {
+    const origin = req.headers.origin
+    if (origin && allowlist.has(origin)) {
+      res.header("Access-Control-Allow-Origin", origin)
+      res.header("Vary", "Origin")
+      res.header("Access-Control-Allow-Credentials", "true")
+    }
+    res.header(
+      "Access-Control-Allow-Methods",
+      "GET, POST, PATCH, DELETE, OPTIONS",
+    )
+    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization")
+    if (req.method === "OPTIONS") {
+      res.status(204).end()
+      return
+    }
+    next()
+  })
+  // Body parsers for login API
+  router.use(
+    express.json({ type: ["application/json", "application/json-patch+json"] }),
+  )
+  router.use(express.urlencoded({ extended: true }))
+
+  // Cookie parsing
+  const parseCookies = (cookieHeader = "") => {
+    /** @type {Record<string,string>} */
+    const out = {}
+    cookieHeader.split(";").forEach((p) => {
+      const i = p.indexOf("=")
+      if (i > -1) {
+        const k = p.slice(0, i).trim()
+        const v = p.slice(i + 1).trim()
+        out[k] = decodeURIComponent(v)
+      }
+    })
+    return out
+  }
+
+  /**
+   * Admin auth for HTTP endpoints: the `amrg_auth` session cookie, or an API
+   * key presented as `Authorization: Bearer`, must carry at least `role`.
+   * Open when no admin auth is configured.
+   * @param {AdminRole} role
+   */
+  const requireRole = (role) =>
+    /** @type {import('express').RequestHandler} */ (
+      (req, res, next) => {
+        if (!adminAuthEnabled()) return next()
+        const admin = adminOf(credentialsOf(req.headers))
+        if (!admin) return res.status(401).send("Unauthorized")
+        if (!hasRole(admin, role)) return res.status(403).send("Forbidden")
+        next()
+      }
+    )
+
+  // --- Media storage + import ---
+  const MEDIA_DIR = opts.media.dir
+  const LODS = opts.media.lods
+  try {
+    fs.mkdirSync(MEDIA_DIR, { recursive: true })
+  } catch {}
+
+  // Serve media as static files
+  router.use("/media", express.static(MEDIA_DIR))
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: opts.limits.uploadMaxBytes || Infinity,
+      files: opts.limits.uploadMaxFiles || Infinity,
+    },
+  })
+  const uploadLimiter = createRateLimiter({
+    rate: opts.limits.uploadsPerMinute / 60,
+    burst: opts.limits.uploadsPerMinute,
+  })
+  /**
+   * Multer errors as a status, the error code reported to the client and the
+   * `limit` label counted in metrics (null for mistakes rather than limits)
+   * @type {Record<string, [number, string, string | null]>}
+   */
+  const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: [413, "file_too_large", "upload_size"],
+    LIMIT_FILE_COUNT: [413, "too_many_files", "upload_files"],
+    LIMIT_UNEXPECTED_FILE: [400, "unexpected_file", null],
+  }
+  /**
+   * Run a multer middleware behind the per-client upload rate limit, and
+   * answer its limit errors with JSON instead of an error page.
+   * @param {import('express').RequestHandler} middleware
+   * @returns {import('express').RequestHandler}
+   */
+  const limitedUpload = (middleware) => (req, res, next) => {
+    const key = clientKeyOf(
+      credentialsOf(req.headers),
+      clientIpOf(req.socket.remoteAddress, req.headers["x-forwarded-for"]),
+    )
+    if (!uploadLimiter.take(key)) {
+      limitRejections.inc({ limit: "uploads" })
+      res.set("Retry-After", String(uploadLimiter.retryAfter(key)))
+      res.status(429).json({ ok: false, error: "rate_limited" })
+      return
+    }
+    middleware(req, res, (err) => {
+      if (!(err instanceof multer.MulterError)) return next(err)
+      const [status, error, limit] = UPLOAD_ERRORS[err.code] ?? [
+        413,
+        "upload_too_large",
+        "upload_parts",
+      ]
+      if (limit) limitRejections.inc({ limit })
+      res.status(status).json({ ok: false, error })
+    })
+  }
+  const isLikelyImageName = (name = "") => {
+    const n = String(name).toLowerCase()
+    return (
+      n.endsWith(".png") ||
+      n.endsWith(".jpg") ||
+      n.endsWith(".jpeg") ||
+      n.endsWith(".gif") ||
+      n.endsWith(".bmp") ||
+      n.endsWith(".webp") ||
+      n.endsWith(".tif") ||
+      n.endsWith(".tiff")
+    )
+  }
+  const basenameAny = (p = "") => {
+    const s = String(p)
+    const parts = s.split(/[\\/]/g)
+    return parts[parts.length - 1] || s
+  }
+
+  router.post(
+    "/assets",
+    requireRole("operator"),
+    limitedUpload(upload.single("asset")),
+    async (req, res) => {
+      try {
+        /** @type {any} */
+        const reqAny = req
+        const file = reqAny.file || null
+        if (!file || !file.buffer) {
+          res.status(400).json({ ok: false, error: "missing_asset" })
+          return
+        }
+        const name = String(file.originalname || "")
+        if (!isLikelyImageName(name)) {
+          res.status(400).json({ ok: false, error: "not_an_image" })
+          return
+        }
+
+        const buf = file.buffer
+        const sha = crypto.createHash("sha256").update(buf).digest("hex")
+        const dir = path.join(MEDIA_DIR, sha)
+        try {
+          fs.mkdirSync(dir, { recursive: true })
+        } catch {}
+
+        const endSharp = sharpDuration.startTimer()
+        const fullPath = path.join(dir, "full.webp")
+        if (!fs.existsSync(fullPath)) {
+          await sharp(buf)
+            .rotate()
+            .webp({ quality: opts.media.fullQuality })
+            .toFile(fullPath)
+        }
+
+        for (const s of LODS) {
+          const outPath = path.join(dir, `${s}.webp`)
+          if (fs.existsSync(outPath)) continue
+          await sharp(buf)
+            .rotate()
+            .resize({
+              width: s,
+              height: s,
+              fit: "inside",
+              withoutEnlargement: true,
+            })
+            .webp({ quality: opts.media.lodQuality })
+            .toFile(outPath)
+        }
+
+        let width = null
+        let height = null
+        try {
+          const meta = await sharp(buf).rotate().metadata()
+          width = typeof meta.width === "number" ? meta.width : null
+          height = typeof meta.height === "number" ? meta.height : null
+        } catch {}
+        endSharp()
+        assetUploads.inc({ result: "ok" })
+
+        webhooks.emit("media.uploaded", {
+          mediaId: sha,
+          url: `${req.baseUrl}/media/${sha}/full.webp`,
+          width,
+          height,
+        })
+        res.json({
+          ok: true,
+          mediaId: sha,
+          url: `${req.baseUrl}/media/${sha}/full.webp`,
+          urls: {
+            full: `${req.baseUrl}/media/${sha}/full.webp`,
+            ...Object.fromEntries(
+              LODS.map((s) => [
+                String(s),
+                `${req.baseUrl}/media/${sha}/${s}.webp`,
+              ]),
+            ),
+          },
+          width,
+          height,
+        })
+      } catch (e) {
+        console.error("/assets failed", e)
+        assetUploads.inc({ result: "error" })
+        res.status(500).json({ ok: false, error: "asset_upload_failed" })
+      }
+    },
+  )
+
+  // POST /import/canvas
+  // multipart fields:
+  //  - canvas: .canvas JSON file
+  //  - assets: image files (multiple)
+  router.post(
+    "/import/canvas",
+    requireRole("operator"),
+    limitedUpload(
+      upload.fields([{ name: "canvas", maxCount: 1 }, { name: "assets" }]),
+    ),
+    async (req, res) => {
+      try {
+        /** @type {any} */
+        const reqAny = req
+        /** @type {any} */
+        const files = reqAny.files || {}
+        const canvasFile = (files.canvas && files.canvas[0]) || null
+        const assets = Array.isArray(files.assets) ? files.assets : []
+        if (!canvasFile || !canvasFile.buffer) {
+          res.status(400).json({ ok: false, error: "missing_canvas" })
+          return
+        }
+
+        let canvasJson
+        try {
+          canvasJson = JSON.parse(String(canvasFile.buffer))
+        } catch {
+          res.status(400).json({ ok: false, error: "invalid_canvas_json" })
+          return
+        }
+
+        const nodes = Array.isArray(canvasJson.nodes) ? canvasJson.nodes : []
+
+        /** @type {Map<string, any>} */
+        const assetsByBase = new Map()
+        for (const f of assets) {
+          try {
+            const base = basenameAny(f.originalname || "")
+            if (!base) continue
+            assetsByBase.set(base, f)
+          } catch {}
+        }
+
+        /** @type {Record<string, { mediaId: string, url: string }>} */
+        const rewritten = {}
+        /** @type {string[]} */
+        const missing = []
+
+        /** @param {{ buffer?: Buffer } & any} file */
+        const ensureVariantsFor = async (file) => {
+          const buf = file && file.buffer ? file.buffer : null
+          if (!buf) throw new Error("missing_asset_buffer")
+
+          const sha = crypto.createHash("sha256").update(buf).digest("hex")
+          const dir = path.join(MEDIA_DIR, sha)
+          try {
+            fs.mkdirSync(dir, { recursive: true })
+          } catch {}
+
+          const endSharp = sharpDuration.startTimer()
+          // Always write a full.webp (original dimensions, just normalized + webp)
+          const fullPath = path.join(dir, "full.webp")
+          if (!fs.existsSync(fullPath)) {
+            await sharp(buf)
+              .rotate()
+              .webp({ quality: opts.media.fullQuality })
+              .toFile(fullPath)
+          }
+
+          // Write LODs (bounded by requested size; no enlargement)
+          for (const s of LODS) {
+            const outPath = path.join(dir, `${s}.webp`)
+            if (fs.existsSync(outPath)) continue
+            await sharp(buf)
+              .rotate()
+              .resize({
+                width: s,
+                height: s,
+                fit: "inside",
+                withoutEnlargement: true,
+              })
+              .webp({ quality: opts.media.lodQuality })
+              .toFile(outPath)
+          }
+          endSharp()
+          return sha
+        }
+
+        for (const n of nodes) {
+          try {
+            const raw =
+              typeof n?.file === "string"
+                ? n.file
+                : typeof n?.src === "string"
+                ? n.src
+                : ""
+            if (!raw) continue
+            const base = basenameAny(raw)
+            if (!isLikelyImageName(base)) continue
+
+            const asset = assetsByBase.get(base)
+            if (!asset) {
+              missing.push(base)
+              continue
+            }
+
+            if (!rewritten[base]) {
+              const mediaId = await ensureVariantsFor(asset).catch((e) => {
+                assetUploads.inc({ result: "error" })
+                throw e
+              })
+              assetUploads.inc({ result: "ok" })
+              rewritten[base] = {
+                mediaId,
+                url: `${req.baseUrl}/media/${mediaId}/full.webp`,
+              }
+              webhooks.emit("media.uploaded", rewritten[base])
+            }
+
+            const { mediaId, url } = rewritten[base]
+            // Obsidian canvas uses `file` for image nodes. Keep compatibility.
+            n.file = url
+            n.mediaId = mediaId
+          } catch {}
+        }
+
+        res.json({ ok: true, canvas: canvasJson, missing, assets: rewritten })
+      } catch (e) {
+        console.error("/import/canvas failed", e)
+        res.status(500).json({ ok: false, error: "import_failed" })
+      }
+    },
+  )
+
+  // --- Metadata dotfiles ---
+  /** path -> parsed contents, dropped whenever the server writes the file */
+  const metadataCache = new Map()
+  /**
+   * The JSON object stored at `path` ({} if missing or invalid), read once and
+   * then served from memory so the per-frame gate doesn't touch the disk.
+   * The result is shared: `load*` helpers hand out copies to modify.
+   * @param {string} path
+   * @param {(json: any) => any} [normalize]
+   * @returns {any}
+   */
+  const readMetadata = (path, normalize = (json) => json) => {
+    if (!metadataCache.has(path)) {
+      let value = {}
+      try {
+        const json = JSON.parse(fs.readFileSync(path, "utf8"))
+        if (json && typeof json === "object") value = normalize(json)
+      } catch {}
+      metadataCache.set(path, value)
+    }
+    return metadataCache.get(path)
+  }
+  /**
+   * @param {string} path
+   * @param {object} value
+   * @param {fs.WriteFileOptions} [options]
+   */
+  const writeMetadata = (path, value, options) => {
+    metadataCache.delete(path)
+    try {
+      fs.writeFileSync(path, JSON.stringify(value, null, 2), options)
+    } catch {}
+  }
+
+  // --- ACL helpers (per-document write protection and visibility) ---
+  /**
+   * An entry may carry a password `hash` (write protection, see passwords.js),
+   * a `visibility` (read protection), or both.
+   * @typedef {{ hash?: string, visibility?: Visibility }} ACLEntry
+   */
+  /**
+   * Keys are normalized to bare document IDs so entries written as
+   * `automerge:` URLs or legacy UUIDs match what the sync protocol carries.
+   * @returns {Record<string, ACLEntry>} docId -> entry, shared: don't modify
+   */
+  const readACL = () =>
+    readMetadata(ACL_PATH, (json) => {
+      /** @type {Record<string, ACLEntry>} */
+      const out = {}
+      for (const [docId, entry] of Object.entries(json)) {
+        out[normalizeDocumentId(docId)] = entry
+      }
+      return out
+    })
+  /** @returns {Record<string, ACLEntry>} a copy of the ACL to modify and save */
+  const loadACL = () => structuredClone(readACL())
+  /** @param {Record<string, ACLEntry>} acl */
+  const saveACL = (acl) => writeMetadata(ACL_PATH, acl)
+  /** @param {ACLEntry | undefined} entry */
+  const isProtectedEntry = (entry) => Boolean(entry?.hash)
+  /**
+   * @param {ACLEntry | undefined} entry
+   * @returns {Visibility}
+   */
+  const visibilityOf = (entry) =>
+    entry?.visibility && VISIBILITIES.includes(entry.visibility)
+      ? entry.visibility
+      : "public"
+
+  // --- Simple per-document labels for dashboard readability ---
+  /** @returns {Record<string, { label: string }>} docId -> { label } */
+  const loadLabels = () => structuredClone(readMetadata(LABELS_PATH))
+  /** @param {Record<string, { label: string }>} labels */
+  const saveLabels = (labels) => writeMetadata(LABELS_PATH, labels)
+
+  /** @returns {Record<string, { ownerId: string }>} docId -> { ownerId } */
+  const loadOwners = () => structuredClone(readMetadata(OWNERS_PATH))
+  /** @param {Record<string, { ownerId: string }>} owners */
+  const saveOwners = (owners) => writeMetadata(OWNERS_PATH, owners)
+
+  /**
+   * Record `ownerId` (or no owner) under the bare document ID, dropping
+   * entries keyed by the other spellings so lookups can't disagree.
+   * @param {string} docId
+   * @param {string | null} ownerId
+   */
+  const setOwner = (docId, ownerId) => {
+    const id = normalizeDocumentId(docId)
+    const owners = loadOwners()
+    const previousOwnerId = ownerIdOf(owners, docId) || null
+    for (const key of [docId, id, `automerge:${id}`]) delete owners[key]
+    if (ownerId) owners[id] = { ownerId }
+    saveOwners(owners)
+    if (ownerId && ownerId !== previousOwnerId)
+      webhooks.emit("doc.claimed", { ownerId, previousOwnerId }, id)
+    // A pending offer only stands while its sender owns the document
+    const transfers = loadTransfers()
+    if (transfers[id] && transfers[id].from !== ownerId) {
+      delete transfers[id]
+      saveTransfers(transfers)
+    }
+  }
+
+  /**
+   * Ownership offers waiting for the recipient to accept.
+   * @typedef {{ from: string, to: string, createdAt: number }} Transfer
+   * @returns {Record<string, Transfer>} docId -> offer
+   */
+  const loadTransfers = () => structuredClone(readMetadata(TRANSFERS_PATH))
+  /** @param {Record<string, Transfer>} transfers */
+  const saveTransfers = (transfers) => writeMetadata(TRANSFERS_PATH, transfers)
+
+  /** @returns {Record<string, { locked: boolean }>} docId -> { locked } */
+  const loadLocks = () => structuredClone(readMetadata(LOCKS_PATH))
+  /** @param {Record<string, { locked: boolean }>} locks */
+  const saveLocks = (locks) => writeMetadata(LOCKS_PATH, locks)
+
+  /**
+   * Soft-deleted documents, restorable until `purgeAt`.
+   * @typedef {{ deletedAt: number, deletedBy: string | null, purgeAt: number }} TrashEntry
+   * @returns {Record<string, TrashEntry>} docId -> entry
+   */
+  const loadTrash = () => structuredClone(readMetadata(TRASH_PATH))
+  /** @param {Record<string, TrashEntry>} trash */
+  const saveTrash = (trash) => writeMetadata(TRASH_PATH, trash)
+  /** @param {string} docId */
+  const isTrashed = (docId) =>
+    Boolean(readMetadata(TRASH_PATH)[normalizeDocumentId(docId)])
+
+  /**
+   * @typedef {{ role: CollaboratorRole, addedAt: number, addedBy: string }} Collaborator
+   * @returns {Record<string, Record<string, Collaborator>>} docId -> userId -> grant
+   */
+  const loadCollaborators = () =>
+    structuredClone(readMetadata(COLLABORATORS_PATH))
+  /** @param {Record<string, Record<string, Collaborator>>} collaborators */
+  const saveCollaborators = (collaborators) =>
+    writeMetadata(COLLABORATORS_PATH, collaborators)
+
+  /**
+   * The caller's collaborator role on a document, if any.
+   * @param {string} userId
+   * @param {string} docId
+   * @returns {CollaboratorRole | null}
+   */
+  const collaboratorRoleOf = (userId, docId) => {
+    if (!userId) return null
+    const role =
+      readMetadata(COLLABORATORS_PATH)[normalizeDocumentId(docId)]?.[userId]
+        ?.role ?? null
+    return role && COLLABORATOR_ROLES.includes(role) ? role : null
+  }
+
+  /** @returns {Record<string, { userId: string }>} keyHash -> { userId } */
+  const loadUsers = () => structuredClone(readMetadata(USERS_PATH))
+  /** @param {Record<string, { userId: string }>} users */
+  const saveUsers = (users) => writeMetadata(USERS_PATH, users)
+
+  const genShortUserId = () => {
+    const part = () => Math.random().toString(36).slice(2, 8)
+    return `${part()}-${part()}`
+  }
+
+  /** @param {string} userKey */
+  const hashUserKey = (userKey) => {
+    // Do not store raw private keys on disk.
+    return crypto.createHash("sha256").update(String(userKey)).digest("hex")
+  }
+
+  /**
+   * Lock flags, like ownership, may be keyed by bare ID or URL.
+   * @param {string} docId
+   */
+  const isDocLocked = (docId) => {
+    const locks = readMetadata(LOCKS_PATH)
+    const id = normalizeDocumentId(docId)
+    return Boolean(
+      (locks[docId] ?? locks[id] ?? locks[`automerge:${id}`])?.locked,
+    )
+  }
+
+  /**
+   * Set a lock flag under the bare ID, dropping any other spelling.
+   * @param {string} docId
+   * @param {boolean} locked
+   */
+  const setLocked = (docId, locked) => {
+    const id = normalizeDocumentId(docId)
+    const locks = loadLocks()
+    for (const key of [docId, id, `automerge:${id}`]) delete locks[key]
+    locks[id] = { locked }
+    try {
+      fs.mkdirSync(dataDir, { recursive: true })
+    } catch {}
+    saveLocks(locks)
+  }
+
+  /**
+   * The signed-in user, from the signed `amrg_user` cookie. Plain, tampered
+   * or expired values are ignored.
+   * @param {Record<string, string>} cookies
+   */
+  const getUserIdFromCookies = (cookies) => {
+    const v = cookies[USER_COOKIE_NAME]
+    const payload = v ? verifyToken(v) : null
+    return payload && typeof payload.u === "string" ? payload.u : ""
+  }
+
+  /** @param {import('express').Request} req */
+  const getUserIdFromReq = (req) => {
+    try {
+      return getUserIdFromCookies(parseCookies(req.headers.cookie || ""))
+    } catch {
+      return ""
+    }
+  }
+
+  /**
+   * Owner of a document; ownership entries may be keyed by bare ID or URL.
+   * @param {Record<string, { ownerId: string }>} owners
+   * @param {string} docId
+   */
+  const ownerIdOf = (owners, docId) => {
+    const id = normalizeDocumentId(docId)
+    return (
+      owners[docId]?.ownerId ||
+      owners[id]?.ownerId ||
+      owners[`automerge:${id}`]?.ownerId ||
+      ""
+    )
+  }
+
+  /**
+   * @typedef {{ hash: string, role: AdminRole, createdAt: number, rotatedAt?: number }} AdminAccount
+   * `token` is set on AUTH_TOKEN sessions, see `tokenFingerprint`.
+   * @typedef {{ username: string, createdAt: number, exp: number, token?: string }} AdminSession
+   */
+
+  /** @returns {Record<string, AdminAccount>} username -> account */
+  const loadAdmins = () => structuredClone(readMetadata(ADMINS_PATH))
+  /** @param {Record<string, AdminAccount>} admins */
+  const saveAdmins = (admins) =>
+    writeMetadata(ADMINS_PATH, admins, { mode: 0o600 })
+
+  /**
+   * Sessions are keyed by a hash of the session ID, so the file alone can't
+   * be replayed as cookies.
+   * @returns {Record<string, AdminSession>} sessionHash -> session
+   */
+  const loadSessions = () => structuredClone(readMetadata(SESSIONS_PATH))
+  /** @param {Record<string, AdminSession>} sessions */
+  const saveSessions = (sessions) =>
+    writeMetadata(SESSIONS_PATH, sessions, { mode: 0o600 })
+
+  /** @param {string} sessionId */
+  const hashSessionId = (sessionId) =>
+    crypto.createHash("sha256").update(String(sessionId)).digest("hex")
+
+  /**
+   * Ties a session signed in with AUTH_TOKEN to that token, so changing the
+   * token ends it. Keyed with the session ID, so the sessions file doesn't
+   * hold anything that could be checked against guesses of the token.
+   * @param {string} sessionId
+   */
+  const tokenFingerprint = (sessionId) =>
+    crypto.createHmac("sha256", sessionId).update(AUTH_TOKEN).digest("hex")
+
+  /**
+   * Start a session for `username`, dropping any that have expired.
+   * @param {string} username
+   */
+  const createSession = (username) => {
+    const now = Date.now()
+    const sessions = loadSessions()
+    for (const [key, session] of Object.entries(sessions)) {
+      if (!session || now > session.exp) delete sessions[key]
+    }
+    const id = crypto.randomBytes(32).toString("base64url")
+    const exp = now + SESSION_TTL_SECONDS * 1000
+    sessions[hashSessionId(id)] = {
+      username,
+      createdAt: now,
+      exp,
+      ...(username === TOKEN_ADMIN ? { token: tokenFingerprint(id) } : {}),
+    }
+    saveSessions(sessions)
+    return { id, exp }
+  }
+
+  /**
+   * End every session of `username` except, optionally, one to keep.
+   * @param {string} username
+   * @param {string} [keepSessionId]
+   */
+  const revokeSessions = (username, keepSessionId) => {
+    const keep = keepSessionId ? hashSessionId(keepSessionId) : ""
+    const sessions = loadSessions()
+    for (const [key, session] of Object.entries(sessions)) {
+      if (session?.username === username && key !== keep) delete sessions[key]
+    }
+    saveSessions(sessions)
+  }
+
+  /** Admin auth is on once an AUTH_TOKEN is set or any account exists. */
+  const adminAuthEnabled = () =>
+    Boolean(AUTH_TOKEN) || Object.keys(loadAdmins()).length > 0
+
+  /**
+   * The admin behind the `amrg_auth` session cookie. The role is read from the
+   * account on every request, so role changes and removals apply immediately.
+   * @param {Record<string, string>} cookies
+   * @returns {{ username: string, role: AdminRole } | null}
+   */
+  const getAdmin = (cookies) => {
+    const sessionId = cookies[COOKIE_NAME]
+    if (!sessionId) return null
+    const session = loadSessions()[hashSessionId(sessionId)]
+    if (!session || Date.now() > session.exp) return null
+    if (session.username === TOKEN_ADMIN) {
+      if (!AUTH_TOKEN || typeof session.token !== "string") return null
+      if (!safeEqual(session.token, tokenFingerprint(sessionId))) return null
+      return { username: TOKEN_ADMIN, role: "owner" }
+    }
+    const account = loadAdmins()[session.username]
+    if (!account || !ADMIN_ROLES.includes(account.role)) return null
+    return { username: session.username, role: account.role }
+  }
+
+  /**
+   * @param {{ role: AdminRole }} admin
+   * @param {AdminRole} role
+   */
+  const hasRole = (admin, role) =>
+    ADMIN_ROLES.indexOf(admin.role) >= ADMIN_ROLES.indexOf(role)
+
+  // --- API keys ---
+  /**
+   * `role` makes the key an admin credential; `docs` limits it to those
+   * documents (all when omitted); `access` says whether it may write.
+   * @typedef {{ role?: AdminRole, docs?: string[], access: "read" | "write" }} ApiKeyScope
+   * @typedef {{ name: string, hash: string, scope: ApiKeyScope, createdAt: number, createdBy: string, lastUsedAt: number | null }} ApiKeyRecord
+   * @typedef {ApiKeyRecord & { id: string }} ApiKey
+   */
+
+  /** @returns {Record<string, ApiKeyRecord>} keyId -> key */
+  const loadApiKeys = () => structuredClone(readMetadata(API_KEYS_PATH))
+  /** @param {Record<string, ApiKeyRecord>} keys */
+  const saveApiKeys = (keys) =>
+    writeMetadata(API_KEYS_PATH, keys, { mode: 0o600 })
+
+  /** @param {string} secret */
+  const hashApiKeySecret = (secret) =>
+    crypto.createHash("sha256").update(String(secret)).digest("hex")
+
+  // --- Share links ---
+  /**
+   * @typedef {{ docId: string, access: "read" | "write", exp: number, maxUses: number | null, uses: number, createdAt: number, createdBy: string }} ShareLink
+   */
+
+  /** @returns {Record<string, ShareLink>} linkId -> link */
+  const loadShares = () => structuredClone(readMetadata(SHARES_PATH))
+  /** @param {Record<string, ShareLink>} shares */
+  const saveShares = (shares) => writeMetadata(SHARES_PATH, shares)
+
+  /** keyId -> when `lastUsedAt` was last written, to throttle disk writes */
+  const apiKeyTouchedAt = new Map()
+  /** @param {string} keyId */
+  const touchApiKey = (keyId) => {
+    const now = Date.now()
+    if (now - (apiKeyTouchedAt.get(keyId) ?? 0) < API_KEY_TOUCH_INTERVAL_MS)
+      return
+    apiKeyTouchedAt.set(keyId, now)
+    const keys = loadApiKeys()
+    if (!keys[keyId]) return
+    keys[keyId].lastUsedAt = now
+    saveApiKeys(keys)
+  }
+
+  /**
+   * Look up a presented key; unknown, malformed or revoked keys give null.
+   * @param {string} presented
+   * @returns {ApiKey | null}
+   */
+  const resolveApiKey = (presented) => {
+    const match = API_KEY_RE.exec(String(presented || "").trim())
+    if (!match) return null
+    const [, id, secret] = match
+    const record = loadApiKeys()[id]
+    if (!record || !safeEqual(hashApiKeySecret(secret), record.hash))
+      return null
+    touchApiKey(id)
+    return { ...record, id }
+  }
+
+  /**
+   * The API key on a request: `Authorization: Bearer <key>`, or for
+   * WebSocket upgrades also an `amrg-key.<key>` subprotocol.
+   * @param {import("http").IncomingHttpHeaders} headers
+   */
+  const apiKeyFromHeaders = (headers) => {
+    const auth = String(headers.authorization || "")
+    if (/^bearer\s+/i.test(auth))
+      return resolveApiKey(auth.replace(/^bearer\s+/i, ""))
+    const protocol = String(headers["sec-websocket-protocol"] || "")
+      .split(",")
+      .map((p) => p.trim())
+      .find((p) => p.startsWith(API_KEY_PROTOCOL_PREFIX))
+    return protocol
+      ? resolveApiKey(protocol.slice(API_KEY_PROTOCOL_PREFIX.length))
+      : null
+  }
+
+  /**
+   * Everything a request or socket authenticates with.
+   * @typedef {{ cookies: Record<string, string>, apiKey: ApiKey | null }} Credentials
+   */
+  /** @param {import("http").IncomingHttpHeaders} headers @returns {Credentials} */
+  const credentialsOf = (headers) => ({
+    cookies: parseCookies(headers.cookie || ""),
+    apiKey: apiKeyFromHeaders(headers),
+  })
+
+  /**
+   * The admin behind a session cookie or an admin-scoped API key.
+   * @param {Credentials} creds
+   * @returns {{ username: string, role: AdminRole } | null}
+   */
+  const adminOf = (creds) => {
+    const admin = getAdmin(creds.cookies)
+    if (admin) return admin
+    const role = creds.apiKey?.scope.role
+    if (role && ADMIN_ROLES.includes(role)) {
+      return { username: `key:${creds.apiKey?.id}`, role }
+    }
+    return null
+  }
+
+  /**
+   * Whether an API key's document scope includes `docId`.
+   * @param {ApiKey} key
+   * @param {string} docId
+   */
+  const keyCoversDoc = (key, docId) =>
+    !key.scope.docs ||
+    key.scope.docs.map(normalizeDocumentId).includes(normalizeDocumentId(docId))
+
+  /**
+   * Whether the credentials carry an admin with at least `role`. Unlike
+   * `requireRole`, this is false when admin auth is off: nobody is implicitly
+   * an admin for the purpose of reading private documents.
+   * @param {Credentials} creds
+   * @param {AdminRole} [role]
+   */
+  const isAdmin = (creds, role = "viewer") => {
+    const admin = adminOf(creds)
+    return Boolean(admin) && hasRole(/** @type {any} */ (admin), role)
+  }
+
+  /**
+   * While admin auth is on, only admins and API keys may sync at all.
+   * @param {Credentials} creds
+   */
+  const maySync = (creds) =>
+    !adminAuthEnabled() || Boolean(adminOf(creds)) || Boolean(creds.apiKey)
+
+  /**
+   * Read access: public and link-only documents are readable by anyone with
+   * the ID; private ones need admin auth, a doc token, ownership, a
+   * collaborator grant or an API key scoped to them. A doc-scoped key can't
+   * read outside its scope, and nobody reads a document in the trash.
+   * @param {Credentials} creds
+   * @param {string} docId
+   */
+  const canReadDoc = (creds, docId) => {
+    const id = normalizeDocumentId(docId)
+    if (isTrashed(id)) return false
+    const key = creds.apiKey
+    if (key && !keyCoversDoc(key, id)) return false
+    if (visibilityOf(readACL()[id]) !== "private") return true
+    return hasOwnAccess(creds, id)
+  }
+
+  /**
+   * Access to a document beyond knowing its ID: admin auth, a doc token,
+   * ownership, a collaborator grant or an API key scoped to it.
+   * @param {Credentials} creds
+   * @param {string} docId - normalized
+   */
+  const hasOwnAccess = (creds, docId) => {
+    if (creds.apiKey?.scope.docs) return true
+    if (isAdmin(creds)) return true
+    if (hasDocToken(creds.cookies, docId, "read")) return true
+    const userId = getUserIdFromCookies(creds.cookies)
+    if (!userId) return false
+    if (ownerIdOf(readMetadata(OWNERS_PATH), docId) === userId) return true
+    return Boolean(collaboratorRoleOf(userId, docId))
+  }
+
+  /**
+   * Whether a document may show up in listings such as search results:
+   * public ones for anyone who can read them, link-only and private ones
+   * only for callers with their own access to them.
+   * @param {Credentials} creds
+   * @param {string} docId
+   */
+  const canListDoc = (creds, docId) => {
+    const id = normalizeDocumentId(docId)
+    if (!canReadDoc(creds, id)) return false
+    return visibilityOf(readACL()[id]) === "public" || hasOwnAccess(creds, id)
+  }
+
+  /**
+   * Document settings (visibility, share links) are for operators and the
+   * owner; anyone while admin auth is off.
+   * @param {Credentials} creds
+   * @param {string} docId
+   */
+  const canManageDoc = (creds, docId) => {
+    if (!adminAuthEnabled() || isAdmin(creds, "operator")) return true
+    const userId = getUserIdFromCookies(creds.cookies)
+    return (
+      Boolean(userId) && ownerIdOf(readMetadata(OWNERS_PATH), docId) === userId
+    )
+  }
+
+  /**
+   * A locked document only takes changes from its owner.
+   * @param {Credentials} creds
+   * @param {string} docId
+   */
+  const isLockedFor = (creds, docId) => {
+    if (!isDocLocked(docId)) return false
+    const userId = getUserIdFromCookies(creds.cookies)
+    return !userId || ownerIdOf(readMetadata(OWNERS_PATH), docId) !== userId
+  }
+
+  /**
+   * Write access to a protected document: a doc token, an editor or
+   * commenter grant, or a write key whose scope includes it. Nobody but the
+   * owner can write while the document is locked.
+   * @param {Credentials} creds
+   * @param {string} docId
+   */
+  const canWriteDoc = (creds, docId) => {
+    if (isLockedFor(creds, docId)) return false
+    const key = creds.apiKey
+    if (key) return key.scope.access === "write" && keyCoversDoc(key, docId)
+    if (hasDocToken(creds.cookies, docId)) return true
+    const role = collaboratorRoleOf(getUserIdFromCookies(creds.cookies), docId)
+    return role === "editor" || role === "commenter"
+  }
+
+  /**
+   * Who is acting, for records: the admin username (`key:<id>` for API keys
+   * with a role), or else the signed-in user.
+   * @param {Credentials} creds
+   */
+  const actorOf = (creds) =>
+    adminOf(creds)?.username || getUserIdFromCookies(creds.cookies) || null
+
+  /**
+   * The client's IP address for limits: the first `X-Forwarded-For` entry
+   * when the proxy in front is trusted, else the socket's peer.
+   * @param {string | undefined} remoteAddress
+   * @param {string | string[] | undefined} forwardedFor
+   */
+  const clientIpOf = (remoteAddress, forwardedFor) => {
+    const forwarded = opts.trustProxy
+      ? headerValue(forwardedFor)?.split(",")[0].trim()
+      : ""
+    return forwarded || remoteAddress || "unknown"
+  }
+
+  /**
+   * Who per-user limits count against: the API key, the admin account or the
+   * embodied user; null for anonymous clients. Everyone signing in with the
+   * shared AUTH_TOKEN is a separate client per session.
+   * @param {Credentials} creds
+   */
+  const userKeyOf = (creds) => {
+    if (creds.apiKey) return `key:${creds.apiKey.id}`
+    const admin = adminOf(creds)?.username
+    if (admin === TOKEN_ADMIN)
+      return `session:${hashSessionId(creds.cookies[COOKIE_NAME])}`
+    if (admin) return `admin:${admin}`
+    const userId = getUserIdFromCookies(creds.cookies)
+    return userId ? `user:${userId}` : null
+  }
+
+  /**
+   * The key rate limits are kept under: the user if known, else the IP.
+   * @param {Credentials} creds
+   * @param {string} ip
+   */
+  const clientKeyOf = (creds, ip) => userKeyOf(creds) ?? `ip:${ip}`
+
+  // --- Audit trail of server-side document writes, one JSON object per line ---
+  /**
+   * @typedef {{ at: number, action: string, docId: string, actor: string | null } & Record<string, any>} AuditEntry
+   */
+  /** @param {Omit<AuditEntry, "at">} entry */
+  const audit = (entry) => {
+    try {
+      fs.appendFileSync(
+        AUDIT_PATH,
+        `${JSON.stringify({ at: Date.now(), ...entry })}\n`,
+      )
+    } catch {}
+  }
+  /** @returns {AuditEntry[]} oldest first */
+  const loadAudit = () => {
+    try {
+      return fs
+        .readFileSync(AUDIT_PATH, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+    } catch {
+      return []
+    }
+  }
+
+  /**
+   * @param {string} msg
+   * @param {string} [key] - defaults to the legacy key stored password hashes depend on
+   */
+  const hmac = (msg, key = AUTH_TOKEN || "amrg_secret") =>
+    crypto.createHmac("sha256", key).update(msg).digest("hex")
+  /** The pre-scrypt password hash, only used to verify (and then upgrade) old ACL entries
+   * @param {string} pwd
+   */
+  const legacyPasswordHash = (pwd) => hmac(`pwd:${pwd}`)
+  /** Sign a short payload for doc and identity cookies
+   * @param {any} payload
+   */
+  const signToken = (payload) => {
+    const data = Buffer.from(JSON.stringify(payload)).toString("base64url")
+    const sig = hmac(data, SIGNING_SECRETS[0])
+    return `${data}.${sig}`
+  }
+  /** @param {string} token */
+  const verifyToken = (token) => {
+    try {
+      const [data, sig] = String(token).split(".")
+      if (!data || !sig) return null
+      if (!SIGNING_SECRETS.some((key) => safeEqual(hmac(data, key), sig)))
+        return null
+      const payload = JSON.parse(
+        Buffer.from(data, "base64url").toString("utf8"),
+      )
+      if (payload.exp && Date.now() > payload.exp) return null
+      return payload
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Whether the parsed cookies carry a valid doc-scoped token for `docId`
+   * granting `access`. Password logins grant write; share links carry their
+   * own level (`p`) and stop working once the link is revoked.
+   * @param {Record<string, string>} cookies
+   * @param {string} docId
+   * @param {"read" | "write"} [access]
+   */
+  const hasDocToken = (cookies, docId, access = "write") => {
+    const id = normalizeDocumentId(docId)
+    const tok = cookies[`amrg_doc_${id}`]
+    const payload = tok ? verifyToken(tok) : null
+    if (!payload || payload.d !== id) return false
+    if (access === "write" && payload.p === "read") return false
+    if (payload.s && loadShares()[payload.s]?.docId !== id) return false
+    return true
+  }
+
+  /**
+   * Set the doc-scoped cookie the WebSocket gate checks.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {string} docId - normalized
+   * @param {Record<string, unknown>} claims - extra token fields
+   * @param {number} exp
+   */
+  const setDocCookie = (req, res, docId, claims, exp) => {
+    const token = signToken({ d: docId, ...claims, exp })
+    const attrs = [
+      `amrg_doc_${docId}=${encodeURIComponent(token)}`,
+      "HttpOnly",
+      "Path=/",
+      "SameSite=Lax",
+      `Max-Age=${Math.max(0, Math.floor((exp - Date.now()) / 1000))}`,
+    ]
+    if (
+      req.headers["x-forwarded-proto"] === "https" ||
+      req.protocol === "https"
+    ) {
+      attrs.push("Secure")
+    }
+    res.setHeader("Set-Cookie", attrs.join("; "))
+  }
+
+  // Login/Logout endpoints. `{ username, password }` signs in to an admin
+  // account; a bare `{ password }` equal to AUTH_TOKEN signs in as an owner.
+  // Either way the cookie only carries an opaque session ID.
+  router.post("/login", async (req, res) => {
+    const username = String(req.body?.username ?? "").trim()
+    const pwd = String(req.body?.password ?? req.body?.token ?? "")
+    if (!adminAuthEnabled()) return res.json({ ok: true, admin: null })
+
+    let identity = ""
+    if (username) {
+      const account = loadAdmins()[username]
+      if (account && (await verifyPassword(pwd, account.hash)).ok) {
+        identity = username
+      }
+    } else if (AUTH_TOKEN && pwd && safeEqual(pwd, AUTH_TOKEN)) {
+      identity = TOKEN_ADMIN
+    }
+    if (!identity) {
+      loginFailures.inc({ kind: "admin" })
+      return res.status(401).json({ ok: false, error: "invalid_password" })
+    }
+
+    const { id } = createSession(identity)
+    const attrs = [
+      `${COOKIE_NAME}=${encodeURIComponent(id)}`,
+      "HttpOnly",
+      "Path=/",
+      "SameSite=Lax",
+      `Max-Age=${SESSION_TTL_SECONDS}`,
+    ]
+    // Only set Secure on HTTPS
+    if ((req.headers["x-forwarded-proto"] || req.protocol) === "https") {
+      attrs.push("Secure")
+    }
+    res.setHeader("Set-Cookie", attrs.join("; "))
+    res.json({ ok: true, admin: getAdmin({ [COOKIE_NAME]: id }) })
+  })
+
+  router.post("/logout", (req, res) => {
+    const sessionId = parseCookies(req.headers.cookie || "")[COOKIE_NAME]
+    if (sessionId) {
+      const sessions = loadSessions()
+      if (sessions[hashSessionId(sessionId)]) {
+        delete sessions[hashSessionId(sessionId)]
+        saveSessions(sessions)
+      }
+    }
+    res.setHeader(
+      "Set-Cookie",
+      `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`,
+    )
+    res.json({ ok: true })
+  })
+
+  // --- Admin accounts ---
+  router.get("/admin/me", (req, res) => {
+    const creds = credentialsOf(req.headers)
+    res.json({
+      ok: true,
+      authEnabled: adminAuthEnabled(),
+      admin: adminOf(creds),
+      apiKey: creds.apiKey ? describeApiKey(creds.apiKey) : null,
+    })
+  })
+
+  router.get("/admin/accounts", requireRole("owner"), (req, res) => {
+    const accounts = Object.entries(loadAdmins()).map(([username, a]) => ({
+      username,
+      role: a.role,
+      createdAt: a.createdAt,
+      rotatedAt: a.rotatedAt ?? null,
+    }))
+    res.json({ ok: true, accounts })
+  })
+
+  // With admin auth off this is open, which is how the first owner is created
+  router.post("/admin/accounts", requireRole("owner"), async (req, res) => {
+    const username = String(req.body?.username ?? "").trim()
+    const pwd = String(req.body?.password ?? "")
+    const role = String(req.body?.role ?? "viewer")
+    if (!USERNAME_RE.test(username))
+      return res.status(400).json({ ok: false, error: "invalid_username" })
+    if (!pwd)
+      return res.status(400).json({ ok: false, error: "missing_password" })
+    if (!ADMIN_ROLES.includes(/** @type {any} */ (role)))
+      return res.status(400).json({ ok: false, error: "invalid_role" })
+    if (loadAdmins()[username])
+      return res.status(409).json({ ok: false, error: "account_exists" })
+    const hash = await hashPassword(pwd)
+    const admins = loadAdmins()
+    const isFirst = Object.keys(admins).length === 0
+    if (isFirst && !AUTH_TOKEN && role !== "owner") {
+      // Otherwise auth would switch on with nobody able to manage accounts
+      return res.status(400).json({ ok: false, error: "first_account_owner" })
+    }
+    admins[username] = {
+      hash,
+      role: /** @type {AdminRole} */ (role),
+      createdAt: Date.now(),
+    }
+    saveAdmins(admins)
+    res.json({ ok: true, username, role })
+  })
+
+  router.delete(
+    "/admin/accounts/:username",
+    requireRole("owner"),
+    (req, res) => {
+      const username = String(req.params.username)
+      const admins = loadAdmins()
+      if (!admins[username])
+        return res.status(404).json({ ok: false, error: "not_found" })
+      const owners = Object.values(admins).filter((a) => a.role === "owner")
+      if (
+        !AUTH_TOKEN &&
+        admins[username].role === "owner" &&
+        owners.length === 1
+      ) {
+        return res.status(409).json({ ok: false, error: "last_owner" })
+      }
+      delete admins[username]
+      saveAdmins(admins)
+      revokeSessions(username)
+      res.json({ ok: true })
+    },
+  )
+
+  // Owners can reset anyone's password; other admins only their own. Other
+  // sessions of the account are signed out.
+  router.post(
+    "/admin/accounts/:username/rotate",
+    requireRole("viewer"),
+    async (req, res) => {
+      const username = String(req.params.username)
+      const pwd = String(req.body?.password ?? "")
+      const cookies = parseCookies(req.headers.cookie || "")
+      const admin = adminOf(credentialsOf(req.headers))
+      if (
+        adminAuthEnabled() &&
+        !(admin && (admin.username === username || hasRole(admin, "owner")))
+      ) {
+        return res.status(403).json({ ok: false, error: "forbidden" })
+      }
+      if (!pwd)
+        return res.status(400).json({ ok: false, error: "missing_password" })
+      if (!loadAdmins()[username])
+        return res.status(404).json({ ok: false, error: "not_found" })
+      const hash = await hashPassword(pwd)
+      const admins = loadAdmins()
+      if (!admins[username])
+        return res.status(404).json({ ok: false, error: "not_found" })
+      admins[username] = { ...admins[username], hash, rotatedAt: Date.now() }
+      saveAdmins(admins)
+      revokeSessions(
+        username,
+        admin?.username === username ? cookies[COOKIE_NAME] : undefined,
+      )
+      res.json({ ok: true })
+    },
+  )
+
+  /** @param {ApiKey} key */
+  const describeApiKey = (key) => ({
+    id: key.id,
+    name: key.name,
+    scope: key.scope,
+    createdAt: key.createdAt,
+    createdBy: key.createdBy,
+    lastUsedAt: key.lastUsedAt ?? null,
+  })
+
+  router.get("/admin/keys", requireRole("owner"), (req, res) => {
+    const keys = Object.entries(loadApiKeys()).map(([id, key]) =>
+      describeApiKey({ ...key, id }),
+    )
+    res.json({ ok: true, keys })
+  })
+
+  // The key itself is only ever returned here
+  router.post("/admin/keys", requireRole("owner"), (req, res) => {
+    const name = String(req.body?.name ?? "").trim()
+    const role = req.body?.role ? String(req.body.role) : undefined
+    const access = String(req.body?.access ?? "read")
+    const docs = req.body?.docs
+    if (!name) return res.status(400).json({ ok: false, error: "missing_name" })
+    if (role !== undefined && !ADMIN_ROLES.includes(/** @type {any} */ (role)))
+      return res.status(400).json({ ok: false, error: "invalid_role" })
+    if (access !== "read" && access !== "write")
+      return res.status(400).json({ ok: false, error: "invalid_access" })
+    if (
+      docs !== undefined &&
+      !(Array.isArray(docs) && docs.every((d) => normalizeDocumentId(d)))
+    )
+      return res.status(400).json({ ok: false, error: "invalid_docs" })
+
+    /** @type {ApiKeyScope} */
+    const scope = { access }
+    if (role) scope.role = /** @type {AdminRole} */ (role)
+    if (docs) scope.docs = docs.map(normalizeDocumentId)
+    const id = crypto.randomBytes(8).toString("hex")
+    const secret = crypto.randomBytes(32).toString("base64url")
+    const keys = loadApiKeys()
+    keys[id] = {
+      name,
+      hash: hashApiKeySecret(secret),
+      scope,
+      createdAt: Date.now(),
+      createdBy: adminOf(credentialsOf(req.headers))?.username ?? "",
+      lastUsedAt: null,
+    }
+    saveApiKeys(keys)
+    res.json({
+      ok: true,
+      key: `amrg_${id}_${secret}`,
+      ...describeApiKey({ ...keys[id], id }),
+    })
+  })
+
+  // Revoking also disconnects WebSockets that authenticated with the key
+  router.delete("/admin/keys/:keyId", requireRole("owner"), (req, res) => {
+    const keyId = String(req.params.keyId)
+    const keys = loadApiKeys()
+    if (!keys[keyId])
+      return res.status(404).json({ ok: false, error: "not_found" })
+    delete keys[keyId]
+    saveApiKeys(keys)
+    apiKeyTouchedAt.delete(keyId)
+    clients.forEach((socket) => {
+      const state = connectionStates.get(socket)
+      if (state?.credentials.apiKey?.id !== keyId) return
+      try {
+        socket.close(4401, "api key revoked")
+      } catch {}
+    })
+    res.json({ ok: true })
+  })
+
+  // Identity: embody via long private userKey -> stable short userId in a
+  // signed cookie. Legacy: { userId } without { userKey } impersonates that
+  // user directly, so it is admin-only.
+  router.post("/users/embody", (req, res) => {
+    const userKey = String(req.body?.userKey ?? req.body?.key ?? "").trim()
+    const legacyUserId = String(req.body?.userId ?? "").trim()
+
+    /** @type {string} */
+    let userId = ""
+
+    if (userKey) {
+      const keyHash = hashUserKey(userKey)
+      const users = loadUsers()
+      const existing = users[keyHash]?.userId
+      userId = existing ? String(existing) : genShortUserId()
+      users[keyHash] = { userId }
+      try {
+        fs.mkdirSync(dataDir, { recursive: true })
+      } catch {}
+      saveUsers(users)
+    } else if (legacyUserId) {
+      if (!isAdmin(credentialsOf(req.headers), "operator")) {
+        return res.status(403).json({ ok: false, error: "admin_required" })
+      }
+      userId = legacyUserId
+    } else {
+      return res.status(400).json({ ok: false, error: "missing_userKey" })
+    }
+
+    const exp = Date.now() + USER_TOKEN_TTL_SECONDS * 1000
+    const attrs = [
+      `${USER_COOKIE_NAME}=${encodeURIComponent(
+        signToken({ u: userId, exp }),
+      )}`,
+      "HttpOnly",
+      "Path=/",
+      "SameSite=Lax",
+      `Max-Age=${USER_TOKEN_TTL_SECONDS}`,
+    ]
+    if ((req.headers["x-forwarded-proto"] || req.protocol) === "https") {
+      attrs.push("Secure")
+    }
+    res.setHeader("Set-Cookie", attrs.join("; "))
+    res.json({ ok: true, userId, exp })
+  })
+
+  router.post("/users/logout", (req, res) => {
+    res.setHeader(
+      "Set-Cookie",
+      `${USER_COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`,
+    )
+    res.json({ ok: true })
+  })
+
+  router.get("/users/me", (req, res) => {
+    const userId = getUserIdFromReq(req)
+    res.json({ ok: true, userId: userId || null })
+  })
+
+  router.get("/users/me/docs", (req, res) => {
+    const userId = getUserIdFromReq(req)
+    if (!userId) return res.json({ ok: true, userId: null, docs: [] })
+    const owners = loadOwners()
+    const docs = Object.entries(owners)
+      .filter(([, v]) => v && v.ownerId === userId)
+      .map(([docId]) => docId)
+    const shared = Object.entries(loadCollaborators())
+      .filter(([, grants]) => grants?.[userId])
+      .map(([docId, grants]) => ({ docId, role: grants[userId].role }))
+    res.json({ ok: true, userId, docs, shared })
+  })
+
+  // Public: return current ownership map (docId -> ownerId) for public docs
+  router.get("/meta/owners", (req, res) => {
+    const owners = loadOwners()
+    const acl = loadACL()
+    /** @type {Record<string, string>} */
+    const out = {}
+    for (const [docId, v] of Object.entries(owners)) {
+      // Link-only and private documents aren't enumerable
+      if (visibilityOf(acl[normalizeDocumentId(docId)]) !== "public") continue
+      if (v && typeof v.ownerId === "string" && v.ownerId)
+        out[docId] = v.ownerId
+    }
+    res.json({ ok: true, owners: out })
+  })
+
+  // Per-document: set/replace protection password (admin-only)
+  router.post(
+    "/docs/:docId/protect",
+    requireRole("operator"),
+    async (req, res) => {
+      const docId = normalizeDocumentId(req.params.docId)
+      const pwd = String(req.body?.password ?? "")
+      if (!docId)
+        return res.status(400).json({ ok: false, error: "missing_docId" })
+      if (!pwd)
+        return res.status(400).json({ ok: false, error: "missing_password" })
+      const hash = await hashPassword(pwd)
+      const acl = loadACL()
+      acl[docId] = { ...acl[docId], hash }
+      try {
+        fs.mkdirSync(dataDir, { recursive: true })
+      } catch {}
+      saveACL(acl)
+      webhooks.emit("doc.protected", { protected: true }, docId)
+      res.json({ ok: true })
+    },
+  )
+
+  // Per-document: set read visibility (admin or owner)
+  router.post("/docs/:docId/visibility", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    if (!docId)
+      return res.status(400).json({ ok: false, error: "missing_docId" })
+    const visibility = String(req.body?.visibility ?? "")
+    if (!VISIBILITIES.includes(/** @type {any} */ (visibility))) {
+      return res.status(400).json({ ok: false, error: "invalid_visibility" })
+    }
+    if (!canManageDoc(credentialsOf(req.headers), docId)) {
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    }
+    const acl = loadACL()
+    /** @type {ACLEntry} */
+    const entry = { ...acl[docId] }
+    if (visibility === "public") delete entry.visibility
+    else entry.visibility = /** @type {Visibility} */ (visibility)
+    if (Object.keys(entry).length) acl[docId] = entry
+    else delete acl[docId]
+    saveACL(acl)
+    res.json({ ok: true, docId, visibility })
+  })
+
+  // Per-document: contributor login to obtain a doc-scoped cookie
+  router.post("/docs/:docId/login", async (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const pwd = String(req.body?.password ?? req.body?.token ?? "")
+    if (!docId)
+      return res.status(400).json({ ok: false, error: "missing_docId" })
+    const acl = loadACL()
+    const entry = acl[docId]
+    if (!entry?.hash)
+      return res.status(404).json({ ok: false, error: "not_protected" })
+    const { ok, needsRehash } = await verifyPassword(
+      pwd,
+      entry.hash,
+      legacyPasswordHash,
+    )
+    if (!ok) {
+      loginFailures.inc({ kind: "doc" })
+      return res.status(401).json({ ok: false, error: "invalid_password" })
+    }
+    if (needsRehash) {
+      const hash = await hashPassword(pwd)
+      // Re-read: the ACL may have changed while hashing
+      const latest = loadACL()
+      if (latest[docId]?.hash === entry.hash) {
+        latest[docId] = { ...latest[docId], hash }
+        saveACL(latest)
+      }
+    }
+    const exp = Date.now() + DOC_TOKEN_TTL_SECONDS * 1000
+    setDocCookie(req, res, docId, {}, exp)
+    res.json({ ok: true, exp })
+  })
+
+  // --- Share links: signed capabilities for one document ---
+  /** @param {string} id @param {ShareLink} link */
+  const describeShare = (id, link) => ({
+    id,
+    docId: link.docId,
+    access: link.access,
+    exp: link.exp,
+    maxUses: link.maxUses,
+    uses: link.uses,
+    createdAt: link.createdAt,
+    createdBy: link.createdBy,
+  })
+
+  /** @param {string} token @returns {[string, ShareLink] | null} */
+  const shareFromToken = (token) => {
+    const payload = verifyToken(token)
+    if (!payload || typeof payload.s !== "string") return null
+    const link = loadShares()[payload.s]
+    if (!link || link.docId !== payload.d || Date.now() > link.exp) return null
+    return [payload.s, link]
+  }
+
+  // Mint a link (owner or operator): { access, expiresInSeconds, maxUses? }
+  router.post("/docs/:docId/shares", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    if (!docId)
+      return res.status(400).json({ ok: false, error: "missing_docId" })
+    const creds = credentialsOf(req.headers)
+    if (!canManageDoc(creds, docId))
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    const access = String(req.body?.access ?? "read")
+    if (access !== "read" && access !== "write")
+      return res.status(400).json({ ok: false, error: "invalid_access" })
+    const ttl = Number(req.body?.expiresInSeconds ?? DOC_TOKEN_TTL_SECONDS)
+    if (!Number.isFinite(ttl) || ttl <= 0)
+      return res.status(400).json({ ok: false, error: "invalid_expiry" })
+    const maxUses =
+      req.body?.maxUses === undefined || req.body?.maxUses === null
+        ? null
+        : Number(req.body.maxUses)
+    if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0))
+      return res.status(400).json({ ok: false, error: "invalid_maxUses" })
+
+    const now = Date.now()
+    const shares = loadShares()
+    for (const [id, link] of Object.entries(shares)) {
+      if (now > link.exp) delete shares[id]
+    }
+    const id = crypto.randomBytes(9).toString("base64url")
+    const exp = now + ttl * 1000
+    shares[id] = {
+      docId,
+      access,
+      exp,
+      maxUses,
+      uses: 0,
+      createdAt: now,
+      createdBy:
+        adminOf(creds)?.username || getUserIdFromCookies(creds.cookies) || "",
+    }
+    saveShares(shares)
+    const token = signToken({ s: id, d: docId, exp })
+    res.json({
+      ok: true,
+      token,
+      path: `${req.baseUrl}/share/${token}`,
+      ...describeShare(id, shares[id]),
+    })
+  })
+
+  router.get("/docs/:docId/shares", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    if (!canManageDoc(credentialsOf(req.headers), docId))
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    const now = Date.now()
+    const links = Object.entries(loadShares())
+      .filter(([, link]) => link.docId === docId && now <= link.exp)
+      .map(([id, link]) => describeShare(id, link))
+    res.json({ ok: true, links })
+  })
+
+  // Revoking also invalidates cookies already issued from the link
+  router.delete("/docs/:docId/shares/:linkId", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    if (!canManageDoc(credentialsOf(req.headers), docId))
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    const shares = loadShares()
+    const linkId = String(req.params.linkId)
+    if (shares[linkId]?.docId !== docId)
+      return res.status(404).json({ ok: false, error: "not_found" })
+    delete shares[linkId]
+    saveShares(shares)
+    res.json({ ok: true })
+  })
+
+  // Inspect a link without using it up
+  router.get("/share/:token", (req, res) => {
+    const found = shareFromToken(String(req.params.token))
+    if (!found)
+      return res.status(404).json({ ok: false, error: "invalid_link" })
+    const [, link] = found
+    res.json({
+      ok: true,
+      docId: link.docId,
+      access: link.access,
+      exp: link.exp,
+      remainingUses:
+        link.maxUses === null ? null : Math.max(0, link.maxUses - link.uses),
+    })
+  })
+
+  // Redeem a link: sets the doc cookie with the link's access level
+  router.post("/share/:token", (req, res) => {
+    const found = shareFromToken(String(req.params.token))
+    if (!found)
+      return res.status(404).json({ ok: false, error: "invalid_link" })
+    const [id, link] = found
+    const shares = loadShares()
+    const current = shares[id]
+    if (current.maxUses !== null && current.uses >= current.maxUses)
+      return res.status(410).json({ ok: false, error: "link_used_up" })
+
+    // Don't downgrade a browser that can already write; that doesn't use up
+    // the link
+    const cookies = parseCookies(req.headers.cookie || "")
+    if (link.access === "read" && hasDocToken(cookies, link.docId, "write")) {
+      return res.json({ ok: true, docId: link.docId, access: "write" })
+    }
+    current.uses += 1
+    saveShares(shares)
+    const exp = Math.min(Date.now() + DOC_TOKEN_TTL_SECONDS * 1000, link.exp)
+    setDocCookie(req, res, link.docId, { p: link.access, s: id }, exp)
+    res.json({ ok: true, docId: link.docId, access: link.access, exp })
+  })
+
+  // Clear per-doc cookie to remove write permissions for this browser
+  router.post("/docs/:docId/logout", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const cookieName = `amrg_doc_${docId}`
+    res.setHeader(
+      "Set-Cookie",
+      `${cookieName}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`,
+    )
+    res.json({ ok: true })
+  })
+
+  // Public status endpoint: tells if a document is protected and if caller has write cookie
+  router.get("/docs/:docId/status", (req, res) => {
+    const docId = String(req.params.docId)
+    const acl = loadACL()
+    const entry = acl[normalizeDocumentId(docId)]
+    const isProtected = isProtectedEntry(entry)
+    const creds = credentialsOf(req.headers)
+    const canWrite = canWriteDoc(creds, docId)
+    const canRead = canReadDoc(creds, docId)
+    const owners = loadOwners()
+    const ownerId = ownerIdOf(owners, docId) || null
+    const userId = getUserIdFromReq(req) || null
+    const locked = isDocLocked(docId)
+    const trashed = loadTrash()[normalizeDocumentId(docId)]
+    const role =
+      userId && userId === ownerId
+        ? "owner"
+        : collaboratorRoleOf(userId || "", docId)
+    res.json({
+      ok: true,
+      protected: isProtected,
+      visibility: visibilityOf(entry),
+      canRead,
+      canWrite,
+      ownerId,
+      userId,
+      role,
+      locked,
+      deleted: Boolean(trashed),
+      purgeAt: trashed?.purgeAt ?? null,
+    })
+  })
+
+  // Owner-only: toggle the lock (CanvasDoc.locked); enforced by the WebSocket gate
+  router.post("/docs/:docId/lock", async (req, res) => {
+    try {
+      const docId = String(req.params.docId)
+      const userId = getUserIdFromReq(req)
+      if (!userId)
+        return res.status(401).json({ ok: false, error: "not_embodied" })
+
+      const ownerId = ownerIdOf(loadOwners(), docId)
+      if (!ownerId || ownerId !== userId) {
+        return res
+          .status(403)
+          .json({ ok: false, error: "not_owner", ownerId: ownerId || null })
+      }
+
+      const locked = Boolean(req.body?.locked)
+      setLocked(docId, locked)
+      if (!locked) resyncRejected(docId)
+      webhooks.emit("doc.locked", { locked }, normalizeDocumentId(docId))
+      res.json({ ok: true, docId, locked })
+    } catch (e) {
+      res.status(500).json({ ok: false, error: "lock_failed" })
+    }
+  })
+
+  // Public: batch flags for many docs (for canvas list UI)
+  router.post("/meta/docs/flags", async (req, res) => {
+    try {
+      const docIds = Array.isArray(req.body?.docIds)
+        ? req.body.docIds.map((/** @type {any} */ d) => String(d))
+        : []
+      const owners = loadOwners()
+      const acl = loadACL()
+      /** @type {Record<string, { ownerId: string | null, protected: boolean, visibility: Visibility, locked: boolean | null }>} */
+      const out = {}
+      for (const docId of docIds) {
+        const locked = isDocLocked(docId)
+        const entry = acl[normalizeDocumentId(docId)]
+        out[docId] = {
+          ownerId: ownerIdOf(owners, docId) || null,
+          protected: isProtectedEntry(entry),
+          visibility: visibilityOf(entry),
+          locked,
+        }
+      }
+      res.json({ ok: true, flags: out })
+    } catch {
+      res.status(500).json({ ok: false, error: "flags_failed" })
+    }
+  })
+
+  // Claim/unclaim ownership for a doc (requires a userId cookie)
+  router.post("/docs/:docId/claim", (req, res) => {
+    const docId = String(req.params.docId)
+    const userId = getUserIdFromReq(req)
+    if (!userId)
+      return res.status(401).json({ ok: false, error: "not_embodied" })
+    const existing = ownerIdOf(loadOwners(), docId)
+    if (existing && existing !== userId) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "already_claimed", ownerId: existing })
+    }
+    try {
+      fs.mkdirSync(dataDir, { recursive: true })
+    } catch {}
+    setOwner(docId, userId)
+    res.json({ ok: true, docId, ownerId: userId })
+  })
+
+  router.post("/docs/:docId/unclaim", (req, res) => {
+    const docId = String(req.params.docId)
+    const userId = getUserIdFromReq(req)
+    if (!userId)
+      return res.status(401).json({ ok: false, error: "not_embodied" })
+    const existing = ownerIdOf(loadOwners(), docId)
+    if (!existing) return res.json({ ok: true, docId, ownerId: null })
+    if (existing !== userId) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "not_owner", ownerId: existing })
+    }
+    setOwner(docId, null)
+    res.json({ ok: true, docId, ownerId: null })
+  })
+
+  // Ownership transfer: the owner offers, the recipient accepts or declines
+  router.post("/docs/:docId/transfer", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const userId = getUserIdFromReq(req)
+    if (!userId)
+      return res.status(401).json({ ok: false, error: "not_embodied" })
+    const ownerId = ownerIdOf(loadOwners(), docId)
+    if (ownerId !== userId) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "not_owner", ownerId: ownerId || null })
+    }
+    const to = String(req.body?.toUserId ?? "").trim()
+    if (!to || to === userId)
+      return res.status(400).json({ ok: false, error: "invalid_recipient" })
+    const transfers = loadTransfers()
+    transfers[docId] = { from: userId, to, createdAt: Date.now() }
+    saveTransfers(transfers)
+    res.json({ ok: true, docId, from: userId, to })
+  })
+
+  // Cancel (owner) or decline (recipient) a pending offer
+  router.delete("/docs/:docId/transfer", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const userId = getUserIdFromReq(req)
+    if (!userId)
+      return res.status(401).json({ ok: false, error: "not_embodied" })
+    const transfers = loadTransfers()
+    const offer = transfers[docId]
+    if (!offer) return res.status(404).json({ ok: false, error: "not_found" })
+    if (offer.from !== userId && offer.to !== userId)
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    delete transfers[docId]
+    saveTransfers(transfers)
+    res.json({ ok: true, docId })
+  })
+
+  router.post("/docs/:docId/transfer/accept", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const userId = getUserIdFromReq(req)
+    if (!userId)
+      return res.status(401).json({ ok: false, error: "not_embodied" })
+    const offer = loadTransfers()[docId]
+    if (!offer || offer.to !== userId)
+      return res.status(404).json({ ok: false, error: "not_found" })
+    // The offer dies if ownership changed hands some other way meanwhile
+    if (ownerIdOf(loadOwners(), docId) !== offer.from) {
+      const transfers = loadTransfers()
+      delete transfers[docId]
+      saveTransfers(transfers)
+      return res.status(409).json({ ok: false, error: "owner_changed" })
+    }
+    setOwner(docId, userId)
+    // The new owner doesn't also need a collaborator grant
+    const collaborators = loadCollaborators()
+    if (collaborators[docId]?.[userId]) {
+      delete collaborators[docId][userId]
+      if (!Object.keys(collaborators[docId]).length) delete collaborators[docId]
+      saveCollaborators(collaborators)
+    }
+    res.json({ ok: true, docId, ownerId: userId, previousOwnerId: offer.from })
+  })
+
+  router.get("/users/me/transfers", (req, res) => {
+    const userId = getUserIdFromReq(req)
+    if (!userId)
+      return res.json({ ok: true, userId: null, incoming: [], outgoing: [] })
+    const offers = Object.entries(loadTransfers()).map(([docId, t]) => ({
+      docId,
+      ...t,
+    }))
+    res.json({
+      ok: true,
+      userId,
+      incoming: offers.filter((t) => t.to === userId),
+      outgoing: offers.filter((t) => t.from === userId),
+    })
+  })
+
+  // Admin: reassign ({ ownerId }) or clear ({ ownerId: null }) ownership
+  router.post(
+    "/admin/docs/:docId/owner",
+    requireRole("operator"),
+    (req, res) => {
+      const docId = normalizeDocumentId(req.params.docId)
+      if (!docId)
+        return res.status(400).json({ ok: false, error: "missing_docId" })
+      const ownerId = String(req.body?.ownerId ?? "").trim() || null
+      setOwner(String(req.params.docId), ownerId)
+      res.json({ ok: true, docId, ownerId })
+    },
+  )
+
+  // --- Collaborators: per-user grants on owned documents ---
+  /**
+   * Owners and operators manage a document's collaborators.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {string} docId
+   * @returns {string | null} who is acting, or null once an error was sent
+   */
+  const collaboratorManager = (req, res, docId) => {
+    const creds = credentialsOf(req.headers)
+    const admin = adminOf(creds)
+    if (admin && hasRole(admin, "operator")) return admin.username
+    const userId = getUserIdFromCookies(creds.cookies)
+    if (!userId) {
+      res.status(401).json({ ok: false, error: "not_embodied" })
+      return null
+    }
+    const ownerId = ownerIdOf(loadOwners(), docId)
+    if (ownerId !== userId) {
+      res
+        .status(403)
+        .json({ ok: false, error: "not_owner", ownerId: ownerId || null })
+      return null
+    }
+    return userId
+  }
+
+  // Visible to the owner, admins and the collaborators themselves
+  router.get("/docs/:docId/collaborators", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const creds = credentialsOf(req.headers)
+    const userId = getUserIdFromCookies(creds.cookies)
+    const grants = loadCollaborators()[docId] ?? {}
+    const allowed =
+      isAdmin(creds) ||
+      (Boolean(userId) &&
+        (ownerIdOf(loadOwners(), docId) === userId || Boolean(grants[userId])))
+    if (!allowed) return res.status(403).json({ ok: false, error: "forbidden" })
+    const collaborators = Object.entries(grants).map(([id, grant]) => ({
+      userId: id,
+      ...grant,
+    }))
+    res.json({ ok: true, docId, collaborators })
+  })
+
+  // Add a collaborator or change their role: { userId, role }
+  router.post("/docs/:docId/collaborators", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    if (!docId)
+      return res.status(400).json({ ok: false, error: "missing_docId" })
+    const actor = collaboratorManager(req, res, docId)
+    if (actor === null) return
+    const userId = String(req.body?.userId ?? "").trim()
+    const role = String(req.body?.role ?? "")
+    if (!userId)
+      return res.status(400).json({ ok: false, error: "missing_userId" })
+    if (!COLLABORATOR_ROLES.includes(/** @type {any} */ (role)))
+      return res.status(400).json({ ok: false, error: "invalid_role" })
+    if (ownerIdOf(loadOwners(), docId) === userId)
+      return res.status(400).json({ ok: false, error: "already_owner" })
+    const collaborators = loadCollaborators()
+    collaborators[docId] = {
+      ...collaborators[docId],
+      [userId]: {
+        role: /** @type {CollaboratorRole} */ (role),
+        addedAt: Date.now(),
+        addedBy: actor,
+      },
+    }
+    saveCollaborators(collaborators)
+    resyncRejected(docId)
+    res.json({ ok: true, docId, userId, role })
+  })
+
+  router.delete("/docs/:docId/collaborators/:userId", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const actor = collaboratorManager(req, res, docId)
+    if (actor === null) return
+    const userId = String(req.params.userId)
+    const collaborators = loadCollaborators()
+    if (!collaborators[docId]?.[userId])
+      return res.status(404).json({ ok: false, error: "not_found" })
+    delete collaborators[docId][userId]
+    if (!Object.keys(collaborators[docId]).length) delete collaborators[docId]
+    saveCollaborators(collaborators)
+    res.json({ ok: true, docId, userId })
+  })
+
+  // Per-document: set or clear a human-readable label (admin-only)
+  router.post("/docs/:docId/label", requireRole("operator"), (req, res) => {
+    const docId = String(req.params.docId)
+    if (!docId)
+      return res.status(400).json({ ok: false, error: "missing_docId" })
+    const label =
+      typeof req.body?.label === "string" ? req.body.label.trim() : ""
+    const labels = loadLabels()
+    if (label) {
+      labels[docId] = { label }
+    } else {
+      delete labels[docId]
+    }
+    saveLabels(labels)
+    res.json({ ok: true })
+  })
+
+  // --- Trash: soft delete with a restore window, then purge ---
+  /**
+   * Remove a document for good: its stored chunks, the handle the repo holds
+   * in memory and every piece of metadata keyed by it.
+   * @param {string} docId
+   */
+  const purgeDocument = async (docId) => {
+    const id = normalizeDocumentId(docId)
+    const keys = [docId, id, `automerge:${id}`]
+    const handle = repo.handles[/** @type {any} */ (id)]
+    if (handle?.isReady()) {
+      // Write out anything pending first so a late save can't bring it back,
+      // and stop the repo from saving the empty document unloading leaves
+      await repo.flush([handle.documentId])
+      handle.removeAllListeners("heads-changed")
+      await repo.removeFromCache(handle.documentId)
+    } else if (handle) {
+      repo.delete(handle.documentId)
+    }
+    await opts.storage.removeRange([id])
+    try {
+      // The default storage shards by the first two characters of the ID
+      fs.rmdirSync(path.join(dataDir, id.slice(0, 2)))
+    } catch {}
+
+    /**
+     * @template T
+     * @param {() => Record<string, T>} load
+     * @param {(store: Record<string, T>) => void} save
+     */
+    const forget = (load, save) => {
+      const store = load()
+      if (!keys.some((key) => key in store)) return
+      for (const key of keys) delete store[key]
+      save(store)
+    }
+    forget(loadACL, saveACL)
+    forget(loadLabels, saveLabels)
+    forget(loadOwners, saveOwners)
+    forget(loadLocks, saveLocks)
+    forget(loadCollaborators, saveCollaborators)
+    forget(loadTransfers, saveTransfers)
+    forget(loadTrash, saveTrash)
+    const shares = loadShares()
+    const links = Object.keys(shares).filter(
+      (linkId) => normalizeDocumentId(shares[linkId].docId) === id,
+    )
+    if (links.length) {
+      for (const linkId of links) delete shares[linkId]
+      saveShares(shares)
+    }
+    newDocumentSeen.delete(id)
+    searchIndex.remove(id)
+    closeEventStreams(id)
+  }
+
+  const purgeExpiredTrash = async () => {
+    const now = Date.now()
+    for (const [docId, entry] of Object.entries(loadTrash())) {
+      if (entry.purgeAt > now) continue
+      try {
+        await purgeDocument(docId)
+      } catch (e) {
+        console.error("Failed to purge document", docId, e)
+      }
+    }
+  }
+
+  // Move a document to the trash (admin or owner); nobody can sync or read it
+  // until it is restored, and it is purged once the retention period is over
+  router.delete("/docs/:docId", async (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    if (!docId)
+      return res.status(400).json({ ok: false, error: "missing_docId" })
+    const creds = credentialsOf(req.headers)
+    if (!canManageDoc(creds, docId))
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    const trash = loadTrash()
+    if (trash[docId])
+      return res.status(409).json({ ok: false, error: "already_deleted" })
+    if (!(await documentExists(docId)))
+      return res.status(404).json({ ok: false, error: "not_found" })
+    const deletedAt = Date.now()
+    trash[docId] = {
+      deletedAt,
+      deletedBy: actorOf(creds),
+      purgeAt: deletedAt + TRASH_RETENTION_SECONDS * 1000,
+    }
+    saveTrash(trash)
+    closeEventStreams(docId)
+    res.json({ ok: true, docId, ...trash[docId] })
+  })
+
+  router.post("/docs/:docId/restore", (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    if (!canManageDoc(credentialsOf(req.headers), docId))
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    const trash = loadTrash()
+    if (!trash[docId])
+      return res.status(404).json({ ok: false, error: "not_deleted" })
+    delete trash[docId]
+    saveTrash(trash)
+    res.json({ ok: true, docId })
+  })
+
+  // Purge right away, from the trash or not; this can't be undone
+  router.post("/docs/:docId/purge", async (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    if (!docId)
+      return res.status(400).json({ ok: false, error: "missing_docId" })
+    if (!canManageDoc(credentialsOf(req.headers), docId))
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    try {
+      await purgeDocument(docId)
+      res.json({ ok: true, docId })
+    } catch (e) {
+      console.error("Failed to purge document", e)
+      res.status(500).json({ ok: false, error: "purge_failed" })
+    }
+  })
+
+  // Serve static files (dashboard must be accessible to show login form)
+  router.use(express.static(PUBLIC_DIR))
+
+  const config = {
+    network: [new NodeWSServerAdapter(wss)],
+    storage: opts.storage,
+    /** @ts-ignore @type {(import("@automerge/automerge-repo").PeerId)}  */
+    peerId: SERVER_PEER_ID,
+    // Since this is a server, we don't share generously — meaning we only sync documents they already
+    // know about and can ask for by ID.
+    sharePolicy: async () => false,
+  }
+  const repo = new Repo(config)
+
+  router.get("/", (req, res) => {
+    res.send(`👍 @automerge/automerge-repo-sync-server is running`)
+  })
+
+  // Lightweight metrics API (protected)
+  router.get("/metrics.json", requireRole("viewer"), (req, res) => {
+    const acl = loadACL()
+    const labels = loadLabels()
+    const owners = loadOwners()
+    const trash = loadTrash()
+    const port = req.socket.localPort ?? null
+    res.json({
+      status: "ok",
+      hostname,
+      port,
+      dataDir,
+      activeConnections: clients.size,
+      documents: listDocuments(dataDir).map((d) => ({
+        ...d,
+        protected: isProtectedEntry(acl[d.id]),
+        visibility: visibilityOf(acl[d.id]),
+        label: labels[d.id]?.label || "",
+        ownerId: ownerIdOf(owners, d.id) || null,
+        deleted: Boolean(trash[d.id]),
+        purgeAt: trash[d.id]?.purgeAt ?? null,
+      })),
+    })
+  })
+
+  metrics.gauge(
+    "amrg_websocket_connections",
+    "Open WebSocket connections",
+    () => clients.size,
+  )
+  metrics.gauge(
+    "amrg_repo_documents_loaded",
+    "Documents the repo holds in memory",
+    () => Object.values(repo.handles).filter((h) => h.isReady()).length,
+  )
+  /** @type {{ at: number, data: number, media: number } | null} */
+  let storageSize = null
+  /** Sizes of DATA_DIR and the media dir, re-measured at most every STORAGE_SIZE_TTL_MS */
+  const measureStorage = () => {
+    if (!storageSize || Date.now() - storageSize.at > STORAGE_SIZE_TTL_MS) {
+      storageSize = {
+        at: Date.now(),
+        data: subtreeStats(dataDir).size,
+        media: subtreeStats(MEDIA_DIR).size,
+      }
+    }
+    return storageSize
+  }
+  metrics.gauge(
+    "amrg_storage_bytes",
+    "Bytes on disk in DATA_DIR, and in the media dir (which is inside DATA_DIR by default)",
+    () => {
+      const { data, media } = measureStorage()
+      return [
+        { labels: { dir: "data" }, value: data },
+        { labels: { dir: "media" }, value: media },
+      ]
+    },
+  )
+
+  // Prometheus scrape endpoint: admin auth, or `Authorization: Bearer
+  // <METRICS_TOKEN>` when a scrape token is configured
+  router.get(
+    "/metrics",
+    (req, res, next) => {
+      const bearer = /^Bearer\s+(.+)$/i.exec(
+        String(req.headers.authorization ?? ""),
+      )?.[1]
+      if (opts.metricsToken && bearer && safeEqual(bearer, opts.metricsToken))
+        return next()
+      if (opts.metricsToken && !adminAuthEnabled())
+        return res.status(401).send("Unauthorized")
+      requireRole("viewer")(req, res, next)
+    },
+    (req, res) => {
+      res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render())
+    },
+  )
+
+  // Fetch document contents (for canvas navigator)
+  router.get("/docs/:docId", async (req, res) => {
+    try {
+      const docId = String(req.params.docId)
+      if (!canReadDoc(credentialsOf(req.headers), docId)) {
+        // Same answer as a missing document so private IDs can't be probed
+        res.status(404).json({ error: "Document not found" })
+        return
+      }
+      const url = docId.startsWith("automerge:") ? docId : `automerge:${docId}`
+      const handle = await repo.find(url)
+      await handle.whenReady()
+      const doc = await handle.doc()
+      if (!doc) {
+        res.status(404).json({ error: "Document not found" })
+        return
+      }
+      res.json(doc)
+    } catch (e) {
+      console.error("Failed to fetch document", e)
+      res.status(500).json({ error: "Failed to fetch document" })
+    }
+  })
+
+  /**
+   * Whether the server has a document: loaded in memory, or saved. Handles
+   * left behind by lookups of unknown IDs don't count.
+   * @param {string} docId
+   */
+  const documentExists = async (docId) => {
+    const id = normalizeDocumentId(docId)
+    if (!id) return false
+    if (repo.handles[/** @type {any} */ (id)]?.isReady()) return true
+    try {
+      return (await opts.storage.loadRange([id])).length > 0
+    } catch {
+      return false
+    }
+  }
+
+  /**
+   * The server's handle for a document, or null if it can't be found.
+   * Unknown IDs are answered from storage, as `repo.find` would wait for
+   * them forever.
+   * @param {string} docId - bare ID or `automerge:` URL
+   */
+  const findHandle = async (docId) => {
+    try {
+      if (!(await documentExists(docId))) return null
+      const url =
+        /** @type {import("@automerge/automerge-repo").AutomergeUrl} */ (
+          `automerge:${normalizeDocumentId(docId)}`
+        )
+      const handle = await repo.find(url)
+      await handle.whenReady()
+      if (!handle.doc()) return null
+      watchHandle(handle)
+      return handle
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * The handle of a document the caller may read; sends 404 and returns null
+   * otherwise.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  const readableHandle = async (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const handle = canReadDoc(credentialsOf(req.headers), docId)
+      ? await findHandle(docId)
+      : null
+    if (!handle) res.status(404).json({ ok: false, error: "not_found" })
+    return handle
+  }
+
+  // Download a document with its full history (`Automerge.save`), or as a
+  // JSON snapshot of the current state with `?format=json`
+  router.get("/docs/:docId/export", async (req, res) => {
+    const format = String(req.query.format ?? "automerge")
+    if (format !== "automerge" && format !== "json")
+      return res.status(400).json({ ok: false, error: "invalid_format" })
+    const handle = await readableHandle(req, res)
+    if (!handle) return
+    const doc = handle.doc()
+    res.attachment(`${handle.documentId}.${format}`)
+    if (format === "json") return res.json(doc)
+    res.type("application/octet-stream").send(Buffer.from(Automerge.save(doc)))
+  })
+
+  // Load an exported `.automerge` file (field `file`) as a new document, or
+  // merge it into the document given as `docId`
+  router.post(
+    "/docs/import",
+    requireRole("operator"),
+    limitedUpload(upload.single("file")),
+    async (req, res) => {
+      /** @type {any} */
+      const reqAny = req
+      const buf = reqAny.file?.buffer
+      if (!buf)
+        return res.status(400).json({ ok: false, error: "missing_file" })
+      const binary = new Uint8Array(buf)
+      let imported
+      try {
+        imported = Automerge.load(binary)
+      } catch {
+        return res.status(400).json({ ok: false, error: "invalid_document" })
+      }
+      const target = String(req.body?.docId ?? "").trim()
+      if (!target) {
+        const handle = repo.import(binary)
+        watchHandle(handle)
+        webhooks.emit(
+          "doc.created",
+          { source: "import", ownerId: null, protected: false },
+          handle.documentId,
+        )
+        return res.json({
+          ok: true,
+          url: handle.url,
+          documentId: handle.documentId,
+          merged: false,
+        })
+      }
+      // Merging is a write, checked like PATCH
+      const id = normalizeDocumentId(target)
+      const creds = credentialsOf(req.headers)
+      const handle = canReadDoc(creds, id) ? await findHandle(id) : null
+      if (!handle)
+        return res.status(404).json({ ok: false, error: "not_found" })
+      const reason = writeBlockReason(creds, id, loadACL()[id])
+      if (reason) return sendWriteBlocked(res, reason)
+      handle.update((doc) => Automerge.merge(doc, imported))
+      res.json({
+        ok: true,
+        url: handle.url,
+        documentId: handle.documentId,
+        merged: true,
+      })
+    },
+  )
+
+  // --- History: changes, heads, past versions and diffs ---
+  // Heads are the hex change hashes Automerge uses, comma separated in queries.
+
+  /**
+   * Parse a `heads` query value, checking every hash is part of `doc`.
+   * @param {any} doc
+   * @param {unknown} value
+   * @returns {string[] | null} null if any hash is malformed or unknown
+   */
+  const parseHeads = (doc, value) => {
+    const heads = String(value ?? "")
+      .split(",")
+      .map((h) => h.trim())
+      .filter(Boolean)
+    const valid = heads.every((h) => HEAD_RE.test(h))
+    return valid && Automerge.hasHeads(doc, heads) ? heads : null
+  }
+
+  // Changes in causal order, `?offset=&limit=` (at most HISTORY_PAGE_MAX)
+  router.get("/docs/:docId/history", async (req, res) => {
+    const handle = await readableHandle(req, res)
+    if (!handle) return
+    const offset = Math.max(0, Number(req.query.offset) || 0)
+    const limit = Math.min(
+      HISTORY_PAGE_MAX,
+      Math.max(1, Number(req.query.limit) || HISTORY_PAGE_SIZE),
+    )
+    const all = Automerge.getAllChanges(handle.doc())
+    const changes = all.slice(offset, offset + limit).map((raw) => {
+      const { hash, actor, seq, time, message, deps } =
+        Automerge.decodeChange(raw)
+      return { hash, actor, seq, time, message: message ?? null, deps }
+    })
+    res.json({
+      ok: true,
+      documentId: handle.documentId,
+      total: all.length,
+      offset,
+      limit,
+      changes,
+    })
+  })
+
+  router.get("/docs/:docId/heads", async (req, res) => {
+    const handle = await readableHandle(req, res)
+    if (!handle) return
+    res.json({
+      ok: true,
+      documentId: handle.documentId,
+      heads: Automerge.getHeads(handle.doc()),
+    })
+  })
+
+  // The document as it was at `?heads=`
+  router.get("/docs/:docId/at", async (req, res) => {
+    const handle = await readableHandle(req, res)
+    if (!handle) return
+    const doc = handle.doc()
+    const heads = parseHeads(doc, req.query.heads)
+    if (!heads?.length)
+      return res.status(400).json({ ok: false, error: "invalid_heads" })
+    res.json(Automerge.view(doc, heads))
+  })
+
+  // Patches turning the document at `?from=` into the document at `?to=`;
+  // `from` defaults to the empty document and `to` to the current heads
+  router.get("/docs/:docId/diff", async (req, res) => {
+    const handle = await readableHandle(req, res)
+    if (!handle) return
+    const doc = handle.doc()
+    const from = parseHeads(doc, req.query.from)
+    const to =
+      req.query.to === undefined
+        ? Automerge.getHeads(doc)
+        : parseHeads(doc, req.query.to)
+    if (!from || !to)
+      return res.status(400).json({ ok: false, error: "invalid_heads" })
+    res.json({ ok: true, from, to, patches: Automerge.diff(doc, from, to) })
+  })
+
+  // --- Server-Sent Events: follow a document's changes over HTTP ---
+  /** @type {Map<string, Set<import('express').Response>>} docId -> open streams */
+  const eventStreams = new Map()
+
+  /**
+   * @param {import('express').Response} res
+   * @param {string} event
+   * @param {any} data
+   * @param {string[]} heads - sent as the event ID, to resume from
+   */
+  const sendEvent = (res, event, data, heads) => {
+    res.write(
+      `id: ${heads.join(",")}\nevent: ${event}\ndata: ${JSON.stringify(
+        data,
+      )}\n\n`,
+    )
+  }
+
+  /**
+   * End the streams of one document (deleted, purged) or of all of them.
+   * @param {string} [docId]
+   */
+  const closeEventStreams = (docId) => {
+    const ids = docId ? [docId] : [...eventStreams.keys()]
+    for (const id of ids) {
+      eventStreams.get(id)?.forEach((res) => res.end())
+      eventStreams.delete(id)
+    }
+  }
+
+  // A `snapshot` event with the document and its heads, then a `patch` event
+  // (patches and new heads) for every change. A client resuming with
+  // `Last-Event-ID` gets one `patch` catching up from those heads instead.
+  router.get("/docs/:docId/events", async (req, res) => {
+    const handle = await readableHandle(req, res)
+    if (!handle) return
+    const docId = handle.documentId
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    })
+
+    let doc = handle.doc()
+    let heads = Automerge.getHeads(doc)
+    const lastEventId = req.headers["last-event-id"] ?? req.query.lastEventId
+    const resumeFrom = lastEventId ? parseHeads(doc, lastEventId) : null
+    if (!resumeFrom?.length) {
+      sendEvent(res, "snapshot", { doc, heads }, heads)
+    } else if (resumeFrom.join(",") !== heads.join(",")) {
+      const patches = Automerge.diff(doc, resumeFrom, heads)
+      sendEvent(res, "patch", { patches, heads }, heads)
+    }
+
+    /** @param {{ doc: any }} payload */
+    const onChange = ({ doc: next }) => {
+      const nextHeads = Automerge.getHeads(next)
+      // Diffed from what this stream last sent, so nothing is skipped
+      const patches = Automerge.diff(next, heads, nextHeads)
+      doc = next
+      heads = nextHeads
+      if (patches.length) sendEvent(res, "patch", { patches, heads }, heads)
+    }
+    handle.on("heads-changed", onChange)
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      SSE_HEARTBEAT_MS,
+    )
+
+    const streams = eventStreams.get(docId) ?? new Set()
+    eventStreams.set(docId, streams.add(res))
+    res.on("close", () => {
+      handle.off("heads-changed", onChange)
+      clearInterval(heartbeat)
+      streams.delete(res)
+      if (!streams.size && eventStreams.get(docId) === streams)
+        eventStreams.delete(docId)
+    })
+  })
+
+  /**
+   * Answer a write the WebSocket gate would have dropped.
+   * @param {import('express').Response} res
+   * @param {string} reason - from `writeBlockReason`
+   */
+  const sendWriteBlocked = (res, reason) => {
+    gateRejections.inc({ transport: "http", reason })
+    res
+      .status(reason === "locked" ? 423 : 403)
+      .json({ ok: false, error: reason })
+  }
+
+  // Owner or operator: bring the document back to `{ heads }` with a new
+  // change on top, so peers sync the revert like any other edit
+  router.post("/docs/:docId/revert", async (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const creds = credentialsOf(req.headers)
+    if (!canManageDoc(creds, docId))
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    const handle = await readableHandle(req, res)
+    if (!handle) return
+    // Reverting is how a vandalised document is recovered, so operators get
+    // past locks and protection, and the owner past protection
+    const userId = getUserIdFromCookies(creds.cookies)
+    const overridable = isAdmin(creds, "operator")
+      ? ["locked", "protected"]
+      : userId && ownerIdOf(loadOwners(), docId) === userId
+      ? ["protected"]
+      : []
+    const reason = writeBlockReason(creds, docId, loadACL()[docId])
+    if (reason && !overridable.includes(reason))
+      return sendWriteBlocked(res, reason)
+    const doc = handle.doc()
+    const rawHeads = req.body?.heads
+    const target = parseHeads(
+      doc,
+      Array.isArray(rawHeads) ? rawHeads.join(",") : rawHeads,
+    )
+    if (!target?.length)
+      return res.status(400).json({ ok: false, error: "invalid_heads" })
+    const from = Automerge.getHeads(doc)
+    const patches = Automerge.diff(doc, from, target)
+    const message =
+      typeof req.body?.message === "string" && req.body.message.trim()
+        ? req.body.message.trim()
+        : `Revert to ${target.map((h) => h.slice(0, 8)).join(",")}`
+    handle.change((d) => applyPatches(d, patches), { message })
+    const heads = Automerge.getHeads(handle.doc())
+    audit({
+      action: "revert",
+      docId,
+      actor: actorOf(creds),
+      from,
+      to: target,
+      heads,
+    })
+    res.json({ ok: true, documentId: handle.documentId, heads })
+  })
+
+  // Create a document: { content?, label?, ownerId?, password? }. Label and
+  // password are for operators, like their own routes; anyone else may only
+  // make themselves the owner.
+  router.post("/docs", async (req, res) => {
+    const creds = credentialsOf(req.headers)
+    if (!maySync(creds))
+      return res.status(401).json({ ok: false, error: "unauthorized" })
+    const body = req.body ?? {}
+    const content = body.content ?? {}
+    if (!content || typeof content !== "object" || Array.isArray(content))
+      return res.status(400).json({ ok: false, error: "invalid_content" })
+    const label = typeof body.label === "string" ? body.label.trim() : ""
+    const password = body.password ? String(body.password) : ""
+    const userId = getUserIdFromCookies(creds.cookies)
+    const operator = !adminAuthEnabled() || isAdmin(creds, "operator")
+    const ownerId =
+      String(body.ownerId ?? "").trim() || (opts.autoClaim ? userId : "")
+    if ((label || password) && !operator)
+      return res.status(403).json({ ok: false, error: "forbidden" })
+    if (ownerId && ownerId !== userId && !operator)
+      return res.status(403).json({ ok: false, error: "forbidden" })
+
+    let handle
+    try {
+      handle = repo.create(content)
+    } catch {
+      return res.status(400).json({ ok: false, error: "invalid_content" })
+    }
+    const docId = handle.documentId
+    if (label) {
+      const labels = loadLabels()
+      labels[docId] = { label }
+      saveLabels(labels)
+    }
+    if (password) {
+      const acl = loadACL()
+      acl[docId] = { ...acl[docId], hash: await hashPassword(password) }
+      saveACL(acl)
+    }
+    if (ownerId) setOwner(docId, ownerId)
+    // On disk before answering, so it is listed and survives a restart
+    await repo.flush([docId])
+    audit({ action: "create", docId, actor: actorOf(creds) })
+    watchHandle(handle)
+    webhooks.emit(
+      "doc.created",
+      {
+        source: "http",
+        ownerId: ownerId || null,
+        protected: Boolean(password),
+      },
+      docId,
+    )
+    if (password) webhooks.emit("doc.protected", { protected: true }, docId)
+    res.status(201).json({
+      ok: true,
+      url: handle.url,
+      documentId: docId,
+      label: label || null,
+      ownerId: ownerId || null,
+      protected: Boolean(password),
+    })
+  })
+
+  // Edit a document over HTTP: a JSON Patch array, or `{ ops, message? }`
+  // (see jsonPatch.js for the extra `splice` and `increment` operations).
+  // Everything lands as one change, under the same checks as a WebSocket write.
+  router.patch("/docs/:docId", async (req, res) => {
+    const docId = normalizeDocumentId(req.params.docId)
+    const creds = credentialsOf(req.headers)
+    if (!maySync(creds))
+      return res.status(401).json({ ok: false, error: "unauthorized" })
+    const body = req.body
+    const ops = Array.isArray(body) ? body : body?.ops
+    if (!Array.isArray(ops) || !ops.length)
+      return res.status(400).json({ ok: false, error: "missing_ops" })
+    const rawMessage = Array.isArray(body) ? req.query.message : body.message
+    const message =
+      typeof rawMessage === "string" && rawMessage.trim()
+        ? rawMessage.trim()
+        : undefined
+    const handle = await readableHandle(req, res)
+    if (!handle) return
+    const reason = writeBlockReason(creds, docId, loadACL()[docId])
+    if (reason) return sendWriteBlocked(res, reason)
+    try {
+      handle.change((d) => applyJsonPatch(d, ops), message ? { message } : {})
+    } catch (e) {
+      if (!(e instanceof PatchError))
+        return res.status(422).json({ ok: false, error: "invalid_operation" })
+      return res
+        .status(e.code === "test_failed" ? 409 : 422)
+        .json({ ok: false, error: e.code, index: e.index })
+    }
+    const heads = Automerge.getHeads(handle.doc())
+    if (creds.apiKey) touchApiKey(creds.apiKey.id)
+    audit({
+      action: "patch",
+      docId,
+      actor: actorOf(creds),
+      ops: ops.length,
+      heads,
+    })
+    res.json({ ok: true, documentId: handle.documentId, heads })
+  })
+
+  // Server-side writes (creations, reverts, patches), newest first; `?docId=` narrows it down
+  router.get("/admin/audit", requireRole("viewer"), (req, res) => {
+    const docId = req.query.docId
+      ? normalizeDocumentId(String(req.query.docId))
+      : ""
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100))
+    const entries = loadAudit()
+      .filter((e) => !docId || e.docId === docId)
+      .reverse()
+      .slice(0, limit)
+    res.json({ ok: true, entries })
+  })
+
+  // --- Webhooks: signed notifications of document and media events ---
+  /** @returns {Record<string, import("./webhooks.js").Webhook>} webhookId -> webhook */
+  const loadWebhooks = () => structuredClone(readMetadata(WEBHOOKS_PATH))
+  /** @param {Record<string, import("./webhooks.js").Webhook>} hooks */
+  const saveWebhooks = (hooks) => writeMetadata(WEBHOOKS_PATH, hooks)
+
+  const webhooks = createWebhookDispatcher({
+    webhooks: loadWebhooks,
+    queuePath: WEBHOOK_QUEUE_PATH,
+    logPath: WEBHOOK_LOG_PATH,
+    debounceMs: opts.webhookDebounceMs,
+    retryBaseMs: opts.webhookRetryBaseMs,
+  })
+
+  const searchIndex = createSearchIndex({ path: SEARCH_INDEX_PATH })
+
+  /** Handles whose changes are indexed and reported as `doc.changed` */
+  const watchedHandles = new WeakSet()
+
+  /**
+   * Follow every change to a document the server holds, whoever made it.
+   * Changes made while the handle is still loading are the stored document
+   * coming in, not edits, so they are only indexed.
+   * @param {import("@automerge/automerge-repo").DocHandle<any>} handle
+   */
+  const watchHandle = (handle) => {
+    if (watchedHandles.has(handle)) return
+    watchedHandles.add(handle)
+    const docId = handle.documentId
+    const read = () => (handle.isReady() ? handle.doc() : null)
+    // What it held before it was watched
+    if (handle.isReady()) searchIndex.queueUpdate(docId, read)
+    handle.on("heads-changed", ({ doc }) => {
+      searchIndex.queueUpdate(docId, read)
+      if (!handle.isReady()) return
+      webhooks.emit("doc.changed", { heads: Automerge.getHeads(doc) }, docId)
+    })
+  }
+
+  // Handles loaded from storage are watched before the stored document is
+  // applied; the gate watches the ones already in memory
+  repo.on("doc-metrics", (event) => {
+    if (event.type !== "doc-loaded") return
+    const handle = repo.handles[event.documentId]
+    if (handle) watchHandle(handle)
+  })
+
+  /** @param {string} webhookId @param {import("./webhooks.js").Webhook} hook */
+  const describeWebhook = (webhookId, hook) => ({
+    id: webhookId,
+    url: hook.url,
+    events: hook.events,
+    createdAt: hook.createdAt,
+    createdBy: hook.createdBy,
+  })
+
+  router.get("/admin/webhooks", requireRole("owner"), (req, res) => {
+    const queued = webhooks.queued()
+    const hooks = Object.entries(loadWebhooks()).map(([id, hook]) => ({
+      ...describeWebhook(id, hook),
+      queued: queued.filter((d) => d.webhookId === id).length,
+    }))
+    res.json({ ok: true, webhooks: hooks, events: WEBHOOK_EVENTS })
+  })
+
+  // { url, events, secret? }; the secret is only ever returned here
+  router.post("/admin/webhooks", requireRole("owner"), (req, res) => {
+    const url = String(req.body?.url ?? "").trim()
+    const events = req.body?.events
+    const secret = req.body?.secret
+      ? String(req.body.secret)
+      : crypto.randomBytes(32).toString("base64url")
+    let protocol = ""
+    try {
+      protocol = new URL(url).protocol
+    } catch {}
+    if (protocol !== "http:" && protocol !== "https:")
+      return res.status(400).json({ ok: false, error: "invalid_url" })
+    if (
+      !Array.isArray(events) ||
+      !events.length ||
+      !events.every((e) => WEBHOOK_EVENTS.includes(e))
+    )
+      return res.status(400).json({ ok: false, error: "invalid_events" })
+    const id = crypto.randomBytes(8).toString("hex")
+    const hooks = loadWebhooks()
+    hooks[id] = {
+      url,
+      events: [...new Set(/** @type {any[]} */ (events))],
+      secret,
+      createdAt: Date.now(),
+      createdBy: adminOf(credentialsOf(req.headers))?.username ?? "",
+    }
+    saveWebhooks(hooks)
+    res.json({ ok: true, secret, ...describeWebhook(id, hooks[id]) })
+  })
+
+  // Deliveries still queued for it are dropped
+  router.delete(
+    "/admin/webhooks/:webhookId",
+    requireRole("owner"),
+    (req, res) => {
+      const webhookId = String(req.params.webhookId)
+      const hooks = loadWebhooks()
+      if (!hooks[webhookId])
+        return res.status(404).json({ ok: false, error: "not_found" })
+      delete hooks[webhookId]
+      saveWebhooks(hooks)
+      res.json({ ok: true })
+    },
+  )
+
+  // Delivery attempts, newest first, and what is waiting to be retried;
+  // `?webhookId=` narrows it down
+  router.get("/admin/webhooks/deliveries", requireRole("owner"), (req, res) => {
+    const webhookId = String(req.query.webhookId ?? "")
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100))
+    /** @param {{ webhookId: string }} d */
+    const matches = (d) => !webhookId || d.webhookId === webhookId
+    const deliveries = webhooks
+      .deliveries(webhookId ? Infinity : limit)
+      .filter(matches)
+      .slice(0, limit)
+    const queued = webhooks
+      .queued()
+      .filter(matches)
+      .map(({ body, ...delivery }) => delivery)
+    res.json({ ok: true, deliveries, queued })
+  })
+
+  // Full-text search over document contents and labels: `?q=&limit=`.
+  // Results only include documents the caller could find in a listing.
+  router.get("/search", (req, res) => {
+    const q = String(req.query.q ?? "").trim()
+    if (!q) return res.status(400).json({ ok: false, error: "missing_query" })
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20))
+    const creds = credentialsOf(req.headers)
+    /** @type {Record<string, string>} */
+    const labels = {}
+    for (const [docId, { label }] of Object.entries(loadLabels())) {
+      if (label) labels[normalizeDocumentId(docId)] = label
+    }
+    const results = searchIndex
+      .search(q, {
+        labels,
+        include: (docId) => canListDoc(creds, docId),
+        limit,
+      })
+      .map((hit) => ({ ...hit, label: labels[hit.docId] ?? null }))
+    res.json({ ok: true, query: q, results })
+  })
+
+  // --- Live WebSocket connections ---
+  /** @param {ConnectionState} state */
+  const describeConnection = ({ connection, credentials }) => {
+    return {
+      ...connection,
+      admin: adminOf(credentials)?.username ?? null,
+      apiKeyId: credentials.apiKey?.id ?? null,
+      documents: [...connection.documents]
+        .map(([documentId, lastMessageAt]) => ({ documentId, lastMessageAt }))
+        .sort((a, b) => b.lastMessageAt - a.lastMessageAt),
+    }
+  }
+
+  router.get("/admin/connections", requireRole("viewer"), (req, res) => {
+    const connections = [...clients]
+      .flatMap((socket) => connectionStates.get(socket) ?? [])
+      .map(describeConnection)
+      .sort((a, b) => a.connectedAt - b.connectedAt)
+    res.json({ ok: true, connections })
+  })
+
+  // The client sees close code 4000; its repo may reconnect on its own
+  router.delete(
+    "/admin/connections/:connectionId",
+    requireRole("operator"),
+    (req, res) => {
+      const id = String(req.params.connectionId)
+      const socket = [...clients].find(
+        (s) => connectionStates.get(s)?.connection.id === id,
+      )
+      if (!socket)
+        return res.status(404).json({ ok: false, error: "not_found" })
+      try {
+        socket.close(ADMIN_DISCONNECT_CLOSE_CODE, "disconnected by admin")
+      } catch {}
+      res.json({ ok: true })
+    },
+  )
+
+  // Redirect to the static React dashboard app under public/dashboard/
+  router.get("/dashboard", (req, res) => {
+    res.redirect(`${req.baseUrl}/dashboard/`)
+  })
+
+  const noticeSessionId = crypto.randomBytes(8).toString("hex")
+  let noticeCount = 0
+
+  /**
+   * Tell one client that its changes to `documentId` were dropped. This goes
+   * out as an ephemeral message on that document only, so sync of every other
+   * document on the connection carries on.
+   * @param {import("ws").WebSocket} socket
+   * @param {string} documentId - as the client sent it
+   * @param {string} reason
+   */
+  const sendWriteRejected = (socket, documentId, reason) => {
+    const state = connectionStates.get(socket)
+    const targetId = state?.connection.peerId
+    if (!state || !targetId) return
+    // Remembered so the changes can be asked for again (`resyncRejected`)
+    state.rejected.set(normalizeDocumentId(documentId), documentId)
+    try {
+      socket.send(
+        encodeMessage(
+          writeRejectedMessage({
+            senderId: SERVER_PEER_ID,
+            targetId,
+            documentId,
+            sessionId: noticeSessionId,
+            count: ++noticeCount,
+            reason,
+          }),
+        ),
+      )
+    } catch {}
+  }
+
+  /**
+   * @param {import("ws").WebSocket} socket
+   * @param {string} documentId - as the client sent it
+   */
+  const sendDocUnavailable = (socket, documentId) => {
+    const targetId = connectionStates.get(socket)?.connection.peerId
+    if (!targetId) return
+    try {
+      socket.send(
+        encodeMessage({
+          type: "doc-unavailable",
+          senderId: SERVER_PEER_ID,
+          targetId,
+          documentId,
+        }),
+      )
+    } catch {}
+  }
+
+  /** Documents already checked for being new by this process */
+  const newDocumentSeen = new Set()
+
+  /**
+   * A sync for a document the server doesn't have means the sender just
+   * created it: `doc.created` webhooks fire, and with `autoClaim` a signed-in
+   * sender becomes its owner. Called from the gate before the repo sees the
+   * frame, so the storage check can't pick up what this client sends.
+   * @param {string} docId - normalized
+   * @param {string} userId - "" when the sender isn't signed in
+   */
+  const noticeNewDocument = (docId, userId) => {
+    if (newDocumentSeen.has(docId)) return
+    newDocumentSeen.add(docId)
+    if (repo.handles[/** @type {any} */ (docId)]) return
+    opts.storage
+      .loadRange([docId])
+      .then((chunks) => {
+        if (chunks.length) return
+        const claim =
+          opts.autoClaim && userId && !ownerIdOf(loadOwners(), docId)
+        if (claim) setOwner(docId, userId)
+        webhooks.emit(
+          "doc.created",
+          { source: "sync", ownerId: claim ? userId : null, protected: false },
+          docId,
+        )
+      })
+      .catch(() => {})
+  }
+
+  /**
+   * Why changes to `docId` from these credentials would be dropped, or "" if
+   * they may write.
+   * @param {Credentials} creds
+   * @param {string} docId - normalized
+   * @param {ACLEntry | undefined} entry
+   */
+  const writeBlockReason = (creds, docId, entry) => {
+    if (creds.apiKey?.scope.access === "read") return "read_only_key"
+    if (isLockedFor(creds, docId)) return "locked"
+    if (isProtectedEntry(entry) && !canWriteDoc(creds, docId))
+      return "protected"
+    return ""
+  }
+
+  /**
+   * After access to `docId` widened (unlock, new grant), ask every client
+   * whose changes were stripped and who may now write to offer them again.
+   * @param {string} docId
+   */
+  const resyncRejected = (docId) => {
+    const id = normalizeDocumentId(docId)
+    const entry = readACL()[id]
+    clients.forEach((socket) => {
+      const state = connectionStates.get(socket)
+      const documentId = state?.rejected.get(id)
+      const targetId = state?.connection.peerId
+      if (!state || !documentId || !targetId) return
+      if (writeBlockReason(state.credentials, id, entry)) return
+      state.rejected.delete(id)
+      try {
+        socket.send(
+          encodeMessage(
+            resyncMessage({ senderId: SERVER_PEER_ID, targetId, documentId }),
+          ),
+        )
+      } catch {}
+    })
+  }
+
+  /**
+   * Per-doc gate, applied to every incoming frame before the repo sees it.
+   * Frames about a private document the socket may not read are dropped and
+   * answered with `doc-unavailable`. Frames about a protected document from a
+   * socket without a valid doc cookie are treated as read-only: requests and
+   * sync go through with their changes stripped, ephemeral broadcasts are
+   * dropped. Sockets authenticated with a read-only API key get the same
+   * treatment on every document, and everyone but the owner on a locked one
+   * (presence and other ephemeral messages still pass there). Documents in
+   * the trash are unavailable to everyone.
+   * @param {import("ws").WebSocket} socket
+   * @param {any} data
+   * @returns {any} the frame to pass on, or null to drop it
+   */
+  const gateIncoming = (socket, data) => {
+    const message = decodeMessage(data)
+    if (!message) return data
+    const state = connectionStates.get(socket)
+    if (!state) return null
+    const { connection, credentials: creds } = state
+    if (message.type === "join" && typeof message.senderId === "string") {
+      connection.peerId = message.senderId
+    }
+    const docId = documentIdOf(message)
+    if (!docId) return data
+    if (isTrashed(docId)) {
+      if (message.type === "request" || message.type === "sync") {
+        sendDocUnavailable(socket, String(message.documentId))
+      }
+      gateRejections.inc({ transport: "ws", reason: "deleted" })
+      return null
+    }
+    if (message.type === "sync") {
+      noticeNewDocument(docId, getUserIdFromCookies(creds.cookies))
+      const handle = repo.handles[/** @type {any} */ (docId)]
+      if (handle) watchHandle(handle)
+    }
+    const entry = readACL()[docId]
+    const locked = isLockedFor(creds, docId)
+    if (!entry && !creds.apiKey && !locked) {
+      connection.documents.set(docId, Date.now())
+      return data
+    }
+    if (creds.apiKey) touchApiKey(creds.apiKey.id)
+    if (!canReadDoc(creds, docId)) {
+      // Private: behave as if the server didn't have the document
+      if (message.type === "request" || message.type === "sync") {
+        sendDocUnavailable(socket, String(message.documentId))
+      }
+      gateRejections.inc({ transport: "ws", reason: "private" })
+      return null
+    }
+    connection.documents.set(docId, Date.now())
+    const reason = writeBlockReason(creds, docId, entry)
+    if (!reason) return data
+    try {
+      switch (message.type) {
+        case "sync":
+        case "request": {
+          const { message: readOnly, dropped } = withoutChanges(message)
+          if (dropped === 0) return data
+          sendWriteRejected(socket, String(message.documentId), reason)
+          gateRejections.inc({ transport: "ws", reason })
+          return encodeMessage(readOnly)
+        }
+        case "ephemeral":
+          if (reason === "locked") return data
+          gateRejections.inc({ transport: "ws", reason })
+          return null
+        default:
+          return data
+      }
+    } catch {
+      // Fail closed: an undecodable frame for a protected doc is dropped
+      gateRejections.inc({ transport: "ws", reason: "undecodable" })
+      return null
+    }
+  }
+
+  const messageLimiter = createRateLimiter({
+    rate: opts.limits.messagesPerSecond,
+    burst: Math.max(opts.limits.messageBurst, opts.limits.messagesPerSecond),
+  })
+
+  /**
+   * Which connection cap a new WebSocket from `ip` and `userKey` would break,
+   * if any.
+   * @param {string} ip
+   * @param {string | null} userKey
+   * @returns {"connections_per_ip" | "connections_per_user" | null}
+   */
+  const connectionCapFor = (ip, userKey) => {
+    const { connectionsPerIp, connectionsPerUser } = opts.limits
+    let fromIp = 0
+    let fromUser = 0
+    for (const socket of clients) {
+      const state = connectionStates.get(socket)
+      if (state?.connection.ip === ip) fromIp++
+      if (userKey && state?.userKey === userKey) fromUser++
+    }
+    if (connectionsPerIp > 0 && fromIp >= connectionsPerIp)
+      return "connections_per_ip"
+    if (userKey && connectionsPerUser > 0 && fromUser >= connectionsPerUser)
+      return "connections_per_user"
+    return null
+  }
+
+  /**
+   * Handle an HTTP upgrade if it targets this sync endpoint.
+   * Upgrades for other paths are left untouched so the host server (or another
+   * upgrade listener) can deal with them.
+   * @param {import("http").IncomingMessage} request
+   * @param {import("stream").Duplex} socket
+   * @param {Buffer} head
+   * @returns {boolean} whether the upgrade was claimed
+   */
+  const handleUpgrade = (request, socket, head) => {
+    if (!matchesPath(request.url)) return false
+    // Admin session cookie or API key for the WebSocket upgrade
+    /** @type {Credentials} */
+    let creds
+    try {
+      creds = credentialsOf(request.headers)
+      if (!maySync(creds)) {
+        gateRejections.inc({ transport: "ws", reason: "unauthorized" })
+        socket.write(
+          "HTTP/1.1 401 Unauthorized\r\n" +
+            "Connection: close\r\n" +
+            "Content-Type: text/plain\r\n\r\nUnauthorized",
+        )
+        socket.destroy()
+        return true
+      }
+    } catch {
+      try {
+        socket.write("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n")
+      } catch {}
+      socket.destroy()
+      return true
+    }
+
+    const ip = clientIpOf(
+      request.socket.remoteAddress,
+      request.headers["x-forwarded-for"],
+    )
+    const userKey = userKeyOf(creds)
+    const capped = connectionCapFor(ip, userKey)
+    if (capped) {
+      limitRejections.inc({ limit: capped })
+      socket.write(
+        "HTTP/1.1 429 Too Many Requests\r\n" +
+          "Connection: close\r\n" +
+          "Content-Type: text/plain\r\n\r\nToo many connections",
+      )
+      socket.destroy()
+      return true
+    }
+    const clientKey = userKey ?? `ip:${ip}`
+
+    wss.handleUpgrade(request, socket, head, (socket) => {
+      /** @type {ConnectionInfo} */
+      const connection = {
+        id: crypto.randomBytes(8).toString("hex"),
+        ip,
+        remoteAddress: request.socket.remoteAddress ?? null,
+        forwardedFor: headerValue(request.headers["x-forwarded-for"]),
+        userAgent: headerValue(request.headers["user-agent"]),
+        peerId: null,
+        userId: getUserIdFromCookies(creds.cookies) || null,
+        connectedAt: Date.now(),
+        messagesIn: 0,
+        messagesOut: 0,
+        bytesIn: 0,
+        bytesOut: 0,
+        documents: new Map(),
+      }
+      // Credentials are kept for later per-document checks
+      connectionStates.set(socket, {
+        credentials: creds,
+        userKey,
+        connection,
+        rejected: new Map(),
+      })
+      // Must run before the repo's adapter subscribes in the "connection" event
+      interceptMessages(socket, (data) => {
+        // Frames still arriving after a rate limit close are dropped
+        if (socket.readyState !== socket.OPEN) return null
+        const bytes = byteLengthOf(data)
+        connection.messagesIn++
+        connection.bytesIn += bytes
+        wsMessages.inc({ direction: "in" })
+        wsBytes.inc({ direction: "in" }, bytes)
+        if (!messageLimiter.take(clientKey)) {
+          limitRejections.inc({ limit: "messages" })
+          socket.close(RATE_LIMIT_CLOSE_CODE, "rate limit exceeded")
+          return null
+        }
+        return gateIncoming(socket, data)
+      })
+      // `ws` closes with 1009 on frames over `maxPayload` and reports it here
+      socket.on("error", (/** @type {any} */ err) => {
+        if (err?.code === "WS_ERR_UNSUPPORTED_MESSAGE_LENGTH") {
+          limitRejections.inc({ limit: "frame_size" })
+        }
+      })
+      const send = socket.send.bind(socket)
+      socket.send = /** @type {typeof socket.send} */ (
+        (/** @type {any} */ data, /** @type {any[]} */ ...rest) => {
+          const bytes = byteLengthOf(data)
+          connection.messagesOut++
+          connection.bytesOut += bytes
+          wsMessages.inc({ direction: "out" })
+          wsBytes.inc({ direction: "out" }, bytes)
+          return /** @type {any} */ (send)(data, ...rest)
+        }
+      )
+      wsConnections.inc()
+      wss.emit("connection", socket, request)
+    })
+    return true
+  }
+
+  purgeExpiredTrash()
+  const trashSweep = setInterval(purgeExpiredTrash, TRASH_SWEEP_INTERVAL_MS)
+  trashSweep.unref()
+
+  // Track active WS connections
+  wss.on("connection", (socket) => {
+    clients.add(socket)
+
+    socket.on("close", () => clients.delete(socket))
+  })
+
+  return {
+    router,
+    handleUpgrade,
+    attach(server) {
+      server.on("upgrade", handleUpgrade)
+    },
+    repo,
+    async close() {
+      clearInterval(trashSweep)
+      closeEventStreams()
+      webhooks.close()
+      searchIndex.close()
+      wss.close()
+      clients.forEach((socket) => {
+        try {
+          socket.terminate()
+        } catch {}
+      })
+      // Like repo.shutdown(), but that also flushes handles still waiting
+      // for a peer to supply the document, and throws on them
+      repo.networkSubsystem.adapters.forEach((adapter) => adapter.disconnect())
+      await repo.flush(
+        Object.values(repo.handles)
+          .filter((handle) => handle.isReady())
+          .map((handle) => handle.documentId),
+      )
+    },
+  }
+}
+
+/**
+ * Constant-time comparison of two hex/base64 strings.
+ * @param {string} a
+ * @param {string} b
+ */
+const safeEqual = (a, b) => {
+  const ba = Buffer.from(String(a))
+  const bb = Buffer.from(String(b))
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb)
+}
+
+/**
+ * Read the signing key kept in the data dir, creating it on first run so that
+ * signed cookies survive restarts without any configuration.
+ * @param {string} file
+ */
+const loadOrCreateSecret = (file) => {
+  try {
+    const existing = fs.readFileSync(file, "utf8").trim()
+    if (existing) return existing
+  } catch {}
+  const secret = crypto.randomBytes(32).toString("hex")
+  fs.writeFileSync(file, secret, { mode: 0o600 })
+  return secret
+}
+
+/**
+ * A request header as one string, or null if it is missing.
+ * @param {string | string[] | undefined} value
+ */
+const headerValue = (value) =>
+  value === undefined ? null : Array.isArray(value) ? value.join(", ") : value
+
+/**
+ * Size of a WebSocket payload as `ws` hands it over or takes it.
+ * @param {any} data
+ */
+const byteLengthOf = (data) => {
+  if (Array.isArray(data))
+    return data.reduce((sum, part) => sum + byteLengthOf(part), 0)
+  if (typeof data === "string") return Buffer.byteLength(data)
+  return typeof data?.byteLength === "number" ? data.byteLength : 0
+}
+
+/**
+ * Route a socket's incoming "message" events through `filter` before any
+ * listener sees them. Listeners can't veto each other, and the repo's network
+ * adapter subscribes as soon as the socket connects, so the gate has to sit in
+ * front of `emit` instead.
+ * @param {import("ws").WebSocket} socket
+ * @param {(data: any) => any} filter - returns the frame to deliver, or null to drop it
+ */
+const interceptMessages = (socket, filter) => {
+  const emit = socket.emit.bind(socket)
+  // @ts-ignore
+  socket.emit = (event, ...args) => {
+    if (event !== "message") return emit(event, ...args)
+    const [data, isBinary] = args
+    const next = filter(data)
+    if (next === null) return false
+    return emit("message", next, isBinary)
+  }
+}
+
+/**
+ * Apply `Automerge.diff` patches inside a change. `Automerge.applyPatches`
+ * only deletes from lists and text, so map keys are deleted here.
+ * @param {any} doc - the change callback's draft
+ * @param {import("@automerge/automerge").Patch[]} patches
+ */
+const applyPatches = (doc, patches) => {
+  for (const patch of patches) {
+    const key = patch.path[patch.path.length - 1]
+    if (patch.action === "del" && typeof key === "string") {
+      let parent = doc
+      for (const step of patch.path.slice(0, -1)) parent = parent[step]
+      delete parent[key]
+    } else {
+      Automerge.applyPatch(doc, patch)
+    }
+  }
+}
+
+/** @param {string | undefined} p */
+const normalizeMountPath = (p) => {
+  const trimmed = String(p ?? "/").replace(/\/+$/, "")
+  if (!trimmed) return "/"
+  return trimmed.startsWith("/") ? trimmed : `/${trimmed}`
+}
+
+/**
+ * Gather document metadata by scanning the storage directory.
+ * Tries to infer document IDs from top-level entry names.
+ * @param {string} dataDir
+ * @returns {{ id: string, type: 'dir'|'file', sizeBytes: number, mtimeMs: number, mtimeISO: string }[]}
+ */
+const listDocuments = (dataDir) => {
+  try {
+    /**
+     * We'll collapse adapter artifacts like `<docId>snapshot` and `<docId>sync-state`
+     * into a single logical `docId` row. We also hide metadata dotfiles.
+     */
+    /** @type {Record<string, { id: string, type: 'dir'|'file', sizeBytes: number, mtimeMs: number }>} */
+    const byId = {}
+
+    /**
+     * Recursively walk the storage dir. Many adapters shard IDs across
+     * multiple 2-char directory segments. We reconstruct the full ID by
+     * joining all path segments from the root to a leaf directory that
+     * contains files (or has no subdirectories).
+     * @param {string} dir
+     * @param {string[]} segments
+     */
+    const walk = (dir, segments) => {
+      let entries
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true })
+      } catch {
+        return
+      }
+      const subdirs = entries.filter((e) => e.isDirectory())
+      const files = entries.filter((e) => e.isFile())
+
+      // If this level has files or no subdirs, consider this a leaf representing a doc bucket
+      if (files.length > 0 || subdirs.length === 0) {
+        const id = segments.join("") || dir.replace(dataDir + "/", "")
+        const { size, mtime } = subtreeStats(dir)
+        const prev = byId[id]
+        const sizeBytes = Math.max(prev?.sizeBytes || 0, size)
+        const mtimeMs = Math.max(prev?.mtimeMs || 0, mtime)
+        byId[id] = { id, type: "dir", sizeBytes, mtimeMs }
+        return
+      }
+
+      // Otherwise, continue descending
+      for (const d of subdirs) {
+        walk(`${dir}/${d.name}`, [...segments, d.name])
+      }
+    }
+
+    // Kick off from top-level dirs; if there are files at top-level, include them individually
+    let top
+    try {
+      top = fs.readdirSync(dataDir, { withFileTypes: true })
+    } catch {
+      top = []
+    }
+    for (const e of top) {
+      const p = `${dataDir}/${e.name}`
+      if (e.isDirectory()) {
+        walk(p, [e.name])
+      } else if (e.isFile()) {
+        try {
+          const stat = fs.statSync(p)
+          // Metadata (.acl.json, .owners.json, .secret, ...) isn't a document
+          if (e.name.startsWith(".")) continue
+          // Collapse known suffixes
+          let baseId = e.name
+          if (baseId.endsWith("snapshot"))
+            baseId = baseId.slice(0, -"snapshot".length)
+          if (baseId.endsWith("sync-state"))
+            baseId = baseId.slice(0, -"sync-state".length)
+          const prev = byId[baseId]
+          const sizeBytes = (prev?.sizeBytes || 0) + stat.size
+          const mtimeMs = Math.max(prev?.mtimeMs || 0, stat.mtimeMs)
+          byId[baseId] = { id: baseId, type: "file", sizeBytes, mtimeMs }
+        } catch {}
+      }
+    }
+    // Convert to array with ISO dates
+    return Object.values(byId).map((d) => ({
+      id: d.id,
+      type: d.type,
+      sizeBytes: d.sizeBytes,
+      mtimeMs: d.mtimeMs,
+      mtimeISO: new Date(d.mtimeMs).toISOString(),
+    }))
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Compute total size and latest mtime within a subtree.
+ * @param {string} dirPath
+ * @returns {{ size: number, mtime: number }}
+ */
+const subtreeStats = (dirPath) => {
+  let total = 0
+  let latest = 0
+  try {
+    const items = fs.readdirSync(dirPath, { withFileTypes: true })
+    for (const item of items) {
+      const fp = `${dirPath}/${item.name}`
+      if (item.isDirectory()) {
+        const { size, mtime } = subtreeStats(fp)
+        total += size
+        if (mtime > latest) latest = mtime
+      } else {
+        try {
+          const st = fs.statSync(fp)
+          total += st.size
+          if (st.mtimeMs > latest) latest = st.mtimeMs
+        } catch {}
+      }
+    }
+    // include directory mtime as well
+    try {
+      const stDir = fs.statSync(dirPath)
+      if (stDir.mtimeMs > latest) latest = stDir.mtimeMs
+    } catch {}
+  } catch {}
+  return { size: total, mtime: latest }
+}
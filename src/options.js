@@ -0,0 +1,223 @@
+// @ts-check
+import path from "path"
+import { NodeFSStorageAdapter } from "@automerge/automerge-repo-storage-nodefs"
+
+/**
+ * @typedef {object} MediaOptions
+ * @property {string} [dir] - where processed assets are written (default `<dataDir>/media`)
+ * @property {number[]} [lods] - square bounding boxes for downscaled variants (env `MEDIA_LODS`, comma separated)
+ * @property {number} [fullQuality] - webp quality of the full-size variant
+ * @property {number} [lodQuality] - webp quality of the downscaled variants
+ */
+
+/**
+ * Abuse limits; 0 turns a limit off. Connection caps and message rates apply
+ * per client: the API key, signed-in admin (each AUTH_TOKEN session on its
+ * own) or embodied user, else the IP.
+ * @typedef {object} LimitOptions
+ * @property {number} [connectionsPerIp] - open WebSockets per IP address (env `MAX_CONNECTIONS_PER_IP`, default 100)
+ * @property {number} [connectionsPerUser] - open WebSockets per admin, API key or user (env `MAX_CONNECTIONS_PER_USER`,
+ *   default 20)
+ * @property {number} [messagesPerSecond] - sustained WebSocket frames per client (env `WS_MESSAGES_PER_SECOND`, default 200)
+ * @property {number} [messageBurst] - frames a client may send at once, e.g. while syncing many documents on connect
+ *   (env `WS_MESSAGE_BURST`, default 2000)
+ * @property {number} [maxFrameBytes] - largest WebSocket frame accepted (env `MAX_FRAME_BYTES`, default 64 MiB)
+ * @property {number} [uploadMaxBytes] - largest uploaded file (env `UPLOAD_MAX_BYTES`, default 50 MiB)
+ * @property {number} [uploadMaxFiles] - files in one upload (env `UPLOAD_MAX_FILES`, default 200)
+ * @property {number} [uploadsPerMinute] - uploads and imports per client (env `UPLOADS_PER_MINUTE`, default 30)
+ */
+
+/**
+ * @typedef {object} ServerOptions
+ * @property {number} [port] - port to listen on (env `PORT`, default 3030)
+ * @property {string} [dataDir] - directory for documents and metadata (env `DATA_DIR`, default `.amrg`)
+ * @property {string} [authToken] - bootstrap admin token, signs in as an owner; admin auth is off while
+ *   this is empty and no admin accounts exist (env `AUTH_TOKEN`)
+ * @property {number} [sessionTtlSeconds] - lifetime of admin sessions (env `SESSION_TTL_SECONDS`, default 7 days)
+ * @property {number} [docTokenTtlSeconds] - lifetime of per-document write cookies (env `DOC_TOKEN_TTL_SECONDS`, default 24h)
+ * @property {number} [userTokenTtlSeconds] - lifetime of the signed `amrg_user` identity cookie (env `USER_TOKEN_TTL_SECONDS`, default 30 days)
+ * @property {string[]} [signingSecrets] - keys for signed cookies; the first signs, all verify, so prepend a new one to rotate
+ *   (env `SIGNING_SECRETS`, comma separated; default a random key kept in `<dataDir>/.secret`)
+ * @property {boolean} [autoClaim] - the first signed-in user to sync a document the server doesn't have becomes
+ *   its owner (env `AUTO_CLAIM`, `1` or `true`)
+ * @property {number} [trashRetentionSeconds] - how long deleted documents can be restored before they are purged
+ *   (env `TRASH_RETENTION_SECONDS`, default 30 days)
+ * @property {number} [webhookDebounceMs] - events about one document within this window of the first are sent as one
+ *   webhook delivery (env `WEBHOOK_DEBOUNCE_MS`, default 2 seconds)
+ * @property {number} [webhookRetryBaseMs] - wait before retrying a failed webhook delivery, doubled on every further
+ *   failure (env `WEBHOOK_RETRY_BASE_MS`, default 30 seconds)
+ * @property {string} [metricsToken] - bearer token a Prometheus scraper can use for `/metrics` instead of admin auth
+ *   (env `METRICS_TOKEN`)
+ * @property {string[]} [corsOrigins] - origins allowed to make credentialed HTTP requests (env `CORS_ORIGINS`, comma separated)
+ * @property {boolean} [trustProxy] - take client IPs for limits from `X-Forwarded-For`; only set this behind a proxy
+ *   that overwrites the header (env `TRUST_PROXY`, `1` or `true`)
+ * @property {MediaOptions} [media]
+ * @property {LimitOptions} [limits]
+ * @property {import("@automerge/automerge-repo").StorageAdapterInterface} [storage] - defaults to a `NodeFSStorageAdapter` on `dataDir`
+ */
+
+const DEFAULT_CORS_ORIGINS = [
+  "http://localhost:5173", // Vite dev (viewer / quickstart default)
+  "http://localhost:5174", // alternate dev port (quickstart when 5173 taken)
+  "http://localhost:8000", // alternate dev/preview
+]
+
+const DEFAULT_LODS = [256, 512, 1024, 2048]
+
+/**
+ * A limit from `LimitOptions`, else its env var, else `fallback`.
+ * @param {number | undefined} value
+ * @param {string | undefined} envValue
+ * @param {number} fallback
+ */
+const limit = (value, envValue, fallback) =>
+  value ??
+  (envValue !== undefined && envValue !== "" ? Number(envValue) : fallback)
+
+/** @param {string | undefined} value */
+const splitList = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+
+/**
+ * Fill in every option from explicit values, then the environment, then defaults.
+ * @param {ServerOptions} options
+ */
+export const resolveOptions = (options = {}) => {
+  const env = process.env
+  const dataDir =
+    options.dataDir ?? (env.DATA_DIR !== undefined ? env.DATA_DIR : ".amrg")
+  const media = options.media ?? {}
+  const limits = options.limits ?? {}
+  const envLods = splitList(env.MEDIA_LODS)
+    .map(Number)
+    .filter((n) => Number.isFinite(n) && n > 0)
+  return {
+    port: options.port ?? (env.PORT !== undefined ? parseInt(env.PORT) : 3030),
+    dataDir,
+    authToken: options.authToken ?? env.AUTH_TOKEN ?? "",
+    sessionTtlSeconds:
+      options.sessionTtlSeconds ??
+      (env.SESSION_TTL_SECONDS
+        ? Number(env.SESSION_TTL_SECONDS)
+        : 7 * 24 * 60 * 60),
+    docTokenTtlSeconds:
+      options.docTokenTtlSeconds ??
+      (env.DOC_TOKEN_TTL_SECONDS
+        ? Number(env.DOC_TOKEN_TTL_SECONDS)
+        : 24 * 60 * 60),
+    userTokenTtlSeconds:
+      options.userTokenTtlSeconds ??
+      (env.USER_TOKEN_TTL_SECONDS
+        ? Number(env.USER_TOKEN_TTL_SECONDS)
+        : 30 * 24 * 60 * 60),
+    signingSecrets: options.signingSecrets ?? splitList(env.SIGNING_SECRETS),
+    autoClaim:
+      options.autoClaim ??
+      ["1", "true"].includes(String(env.AUTO_CLAIM ?? "").toLowerCase()),
+    trashRetentionSeconds:
+      options.trashRetentionSeconds ??
+      (env.TRASH_RETENTION_SECONDS
+        ? Number(env.TRASH_RETENTION_SECONDS)
+        : 30 * 24 * 60 * 60),
+    webhookDebounceMs:
+      options.webhookDebounceMs ??
+      (env.WEBHOOK_DEBOUNCE_MS ? Number(env.WEBHOOK_DEBOUNCE_MS) : 2 * 1000),
+    webhookRetryBaseMs:
+      options.webhookRetryBaseMs ??
+      (env.WEBHOOK_RETRY_BASE_MS
+        ? Number(env.WEBHOOK_RETRY_BASE_MS)
+        : 30 * 1000),
+    metricsToken: options.metricsToken ?? env.METRICS_TOKEN ?? "",
+    corsOrigins:
+      options.corsOrigins ??
+      (env.CORS_ORIGINS !== undefined
+        ? splitList(env.CORS_ORIGINS)
+        : DEFAULT_CORS_ORIGINS),
+    trustProxy:
+      options.trustProxy ??
+      ["1", "true"].includes(String(env.TRUST_PROXY ?? "").toLowerCase()),
+    limits: {
+      connectionsPerIp: limit(
+        limits.connectionsPerIp,
+        env.MAX_CONNECTIONS_PER_IP,
+        100,
+      ),
+      connectionsPerUser: limit(
+        limits.connectionsPerUser,
+        env.MAX_CONNECTIONS_PER_USER,
+        20,
+      ),
+      messagesPerSecond: limit(
+        limits.messagesPerSecond,
+        env.WS_MESSAGES_PER_SECOND,
+        200,
+      ),
+      messageBurst: limit(limits.messageBurst, env.WS_MESSAGE_BURST, 2000),
+      maxFrameBytes: limit(
+        limits.maxFrameBytes,
+        env.MAX_FRAME_BYTES,
+        64 * 1024 * 1024,
+      ),
+      uploadMaxBytes: limit(
+        limits.uploadMaxBytes,
+        env.UPLOAD_MAX_BYTES,
+        50 * 1024 * 1024,
+      ),
+      uploadMaxFiles: limit(limits.uploadMaxFiles, env.UPLOAD_MAX_FILES, 200),
+      uploadsPerMinute: limit(
+        limits.uploadsPerMinute,
+        env.UPLOADS_PER_MINUTE,
+        30,
+      ),
+    },
+    media: {
+      dir: media.dir ?? path.join(dataDir, "media"),
+      lods: [...(media.lods ?? (envLods.length ? envLods : DEFAULT_LODS))].sort(
+        (a, b) => a - b,
+      ),
+      fullQuality: media.fullQuality ?? 82,
+      lodQuality: media.lodQuality ?? 78,
+    },
+    storage: options.storage ?? new NodeFSStorageAdapter(dataDir),
+  }
+}
+
+let processGuardsInstalled = false
+
+/**
+ * Global resilience: don't crash on transient network timeouts or promise rejections.
+ * Installed once per process so that several servers don't stack listeners.
+ */
+export const installProcessGuards = () => {
+  if (processGuardsInstalled) return
+  processGuardsInstalled = true
+  const errMsg = (e) => {
+    try {
+      if (e && typeof e === "object" && "message" in e) return String(e.message)
+      return String(e)
+    } catch {
+      return "(unknown error)"
+    }
+  }
+  try {
+    process.on("unhandledRejection", (err) => {
+      const msg = errMsg(err)
+      if (msg.includes("withTimeout")) {
+        console.warn("[warn] Ignoring network timeout:", msg)
+      } else {
+        console.error("[unhandledRejection]", err)
+      }
+    })
+    process.on("uncaughtException", (err) => {
+      const msg = errMsg(err)
+      if (msg.includes("withTimeout")) {
+        console.warn("[warn] Ignoring network timeout (uncaught):", msg)
+      } else {
+        console.error("[uncaughtException]", err)
+      }
+    })
+  } catch {}
+}
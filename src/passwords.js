@@ -0,0 +1,102 @@
+// @ts-check
+import crypto from "crypto"
+
+/**
+ * Salted scrypt hashes for document passwords, stored as
+ * `scrypt$<version>$<N>$<r>$<p>$<salt>$<hash>` (salt and hash base64url).
+ * The parameters travel with each hash so they can be raised later without
+ * invalidating what is already on disk.
+ */
+
+const VERSION = "1"
+const PARAMS = { N: 16384, r: 8, p: 1 }
+const KEY_LENGTH = 32
+const SALT_LENGTH = 16
+
+/**
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {{ N: number, r: number, p: number }} params
+ * @returns {Promise<Buffer>}
+ */
+const scrypt = (password, salt, { N, r, p }) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(
+      password,
+      salt,
+      KEY_LENGTH,
+      { N, r, p, maxmem: 128 * N * r * 2 },
+      (err, key) => (err ? reject(err) : resolve(key)),
+    )
+  })
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_LENGTH)
+  const key = await scrypt(String(password), salt, PARAMS)
+  const { N, r, p } = PARAMS
+  return [
+    "scrypt",
+    VERSION,
+    N,
+    r,
+    p,
+    salt.toString("base64url"),
+    key.toString("base64url"),
+  ].join("$")
+}
+
+/**
+ * Check a password against a stored hash.
+ *
+ * Hashes from before scrypt (bare HMAC hex digests) are checked with
+ * `legacyHash`, which must reproduce the old scheme; a match reports
+ * `needsRehash` so the caller can store a fresh hash while it has the
+ * plaintext at hand.
+ *
+ * @param {string} password
+ * @param {string} stored
+ * @param {(password: string) => string} [legacyHash]
+ * @returns {Promise<{ ok: boolean, needsRehash: boolean }>}
+ */
+export const verifyPassword = async (password, stored, legacyHash) => {
+  const fail = { ok: false, needsRehash: false }
+  const value = String(stored ?? "")
+  if (!value.startsWith("scrypt$")) {
+    if (!legacyHash || !value) return fail
+    const ok = timingSafeEqualStrings(legacyHash(String(password)), value)
+    return { ok, needsRehash: ok }
+  }
+  const [, version, N, r, p, salt, hash] = value.split("$")
+  if (version !== VERSION || !salt || !hash) return fail
+  const params = { N: Number(N), r: Number(r), p: Number(p) }
+  if (
+    ![params.N, params.r, params.p].every((n) => Number.isInteger(n) && n > 0)
+  )
+    return fail
+  let key
+  try {
+    key = await scrypt(String(password), Buffer.from(salt, "base64url"), params)
+  } catch {
+    return fail
+  }
+  const expected = Buffer.from(hash, "base64url")
+  const ok =
+    key.length === expected.length && crypto.timingSafeEqual(key, expected)
+  const current =
+    params.N === PARAMS.N && params.r === PARAMS.r && params.p === PARAMS.p
+  return { ok, needsRehash: ok && !current }
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ */
+const timingSafeEqualStrings = (a, b) => {
+  const ba = Buffer.from(a)
+  const bb = Buffer.from(b)
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb)
+}
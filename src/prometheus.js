@@ -0,0 +1,163 @@
+// @ts-check
+
+/** Content type of the Prometheus text exposition format */
+export const PROMETHEUS_CONTENT_TYPE =
+  "text/plain; version=0.0.4; charset=utf-8"
+
+/** Histogram buckets in seconds, from a few milliseconds to ten seconds */
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+]
+
+/**
+ * @typedef {Record<string, string>} Labels
+ * @typedef {{ labels: Labels, value: number }} Sample
+ */
+
+/** @param {unknown} value */
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"')
+
+/** @param {Labels} labels */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels)
+  if (!entries.length) return ""
+  return `{${entries
+    .map(([k, v]) => `${k}="${escapeLabelValue(v)}"`)
+    .join(",")}}`
+}
+
+/** @param {Labels} labels */
+const keyOf = (labels) =>
+  JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)))
+
+/** @param {number} n */
+const formatValue = (n) =>
+  Number.isFinite(n) ? String(n) : n > 0 ? "+Inf" : n < 0 ? "-Inf" : "NaN"
+
+/**
+ * A small metrics registry: counters, gauges and histograms with labels,
+ * rendered in the Prometheus text format. Gauges are read when scraped.
+ */
+export const createRegistry = () => {
+  /** @type {{ name: string, help: string, type: string, lines: () => string[] }[]} */
+  const metrics = []
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   */
+  const counter = (name, help) => {
+    /** @type {Map<string, Sample>} */
+    const samples = new Map()
+    metrics.push({
+      name,
+      help,
+      type: "counter",
+      lines: () =>
+        [...samples.values()].map(
+          ({ labels, value }) =>
+            `${name}${formatLabels(labels)} ${formatValue(value)}`,
+        ),
+    })
+    return {
+      /** @param {Labels} [labels] @param {number} [by] */
+      inc(labels = {}, by = 1) {
+        const key = keyOf(labels)
+        const sample = samples.get(key)
+        if (sample) sample.value += by
+        else samples.set(key, { labels, value: by })
+      },
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {() => number | Sample[]} collect - the current value(s)
+   */
+  const gauge = (name, help, collect) => {
+    metrics.push({
+      name,
+      help,
+      type: "gauge",
+      lines: () => {
+        const value = collect()
+        const samples =
+          typeof value === "number" ? [{ labels: {}, value }] : value
+        return samples.map(
+          ({ labels, value }) =>
+            `${name}${formatLabels(labels)} ${formatValue(value)}`,
+        )
+      },
+    })
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {number[]} [buckets] - upper bounds, ascending
+   */
+  const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+    /** @type {Map<string, { labels: Labels, counts: number[], sum: number, count: number }>} */
+    const series = new Map()
+    metrics.push({
+      name,
+      help,
+      type: "histogram",
+      lines: () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map(
+            (le, i) =>
+              `${name}_bucket${formatLabels({ ...labels, le: String(le) })} ${
+                counts[i]
+              }`,
+          ),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ]),
+    })
+    /** @param {Labels} labels @param {number} seconds */
+    const observe = (labels, seconds) => {
+      const key = keyOf(labels)
+      let s = series.get(key)
+      if (!s) {
+        s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }
+        series.set(key, s)
+      }
+      for (let i = 0; i < buckets.length; i++) {
+        if (seconds <= buckets[i]) s.counts[i]++
+      }
+      s.sum += seconds
+      s.count++
+    }
+    return {
+      observe,
+      /**
+       * Start timing; the returned function records the elapsed time under
+       * the labels it is given.
+       * @returns {(labels?: Labels) => void}
+       */
+      startTimer() {
+        const start = process.hrtime.bigint()
+        return (labels = {}) =>
+          observe(labels, Number(process.hrtime.bigint() - start) / 1e9)
+      },
+    }
+  }
+
+  const render = () =>
+    metrics
+      .map(({ name, help, type, lines }) =>
+        [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join(
+          "\n",
+        ),
+      )
+      .join("\n") + "\n"
+
+  return { counter, gauge, histogram, render }
+}
@@ -0,0 +1,154 @@
+// @ts-check
+import * as Automerge from "@automerge/automerge"
+import { cbor, interpretAsDocumentId } from "@automerge/automerge-repo"
+
+/**
+ * Helpers for reading automerge-repo WebSocket frames. Every frame is a CBOR
+ * encoded envelope (`{ type, senderId, targetId, documentId?, data? }`); we only
+ * look at the envelope and never at the Automerge payload inside `data`.
+ */
+
+/** Message types that concern a single document. */
+export const DOCUMENT_MESSAGE_TYPES = new Set([
+  "sync",
+  "request",
+  "ephemeral",
+  "doc-unavailable",
+  "remote-heads-changed",
+])
+
+/**
+ * Convert whatever `ws` hands to a "message" listener into one byte array.
+ * @param {import("ws").RawData | string} data
+ * @returns {Uint8Array}
+ */
+export const toBytes = (data) => {
+  if (typeof data === "string") return Buffer.from(data)
+  if (Buffer.isBuffer(data)) return data
+  if (data instanceof ArrayBuffer) return new Uint8Array(data)
+  if (Array.isArray(data)) {
+    // Fragmented frame delivered as Buffer[]
+    return Buffer.concat(data.map((b) => new Uint8Array(b)))
+  }
+  return Buffer.from(String(data ?? ""))
+}
+
+/**
+ * A decoded frame's envelope.
+ * @typedef {{ type: string, documentId?: unknown, [key: string]: unknown }} Envelope
+ */
+
+/**
+ * Decode a frame's CBOR envelope.
+ * @param {import("ws").RawData | string} data
+ * @returns {Envelope | null} null when the frame isn't a well-formed message
+ */
+export const decodeMessage = (data) => {
+  try {
+    const message = /** @type {unknown} */ (cbor.decode(toBytes(data)))
+    if (!message || typeof message !== "object") return null
+    if (!("type" in message) || typeof message.type !== "string") return null
+    return /** @type {Envelope} */ (message)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Canonical form of a document ID as used in messages and on disk: the bare
+ * base58check ID. Accepts `automerge:` URLs (with or without heads), bare IDs,
+ * legacy UUIDs and binary IDs. Strings that aren't recognisable are returned
+ * trimmed so that hand-written keys keep working.
+ * @param {unknown} id
+ * @returns {string}
+ */
+export const normalizeDocumentId = (id) => {
+  if (id === undefined || id === null || id === "") return ""
+  try {
+    return String(interpretAsDocumentId(/** @type {any} */ (id).trim?.() ?? id))
+  } catch {
+    return typeof id === "string" ? id.trim() : ""
+  }
+}
+
+/**
+ * The document a message is about, normalized; "" for peer-level messages
+ * such as `join` or `remote-subscription-change`.
+ * @param {Envelope | null} message
+ */
+export const documentIdOf = (message) => {
+  if (!message || !DOCUMENT_MESSAGE_TYPES.has(message.type)) return ""
+  return normalizeDocumentId(message.documentId)
+}
+
+/** @param {any} message */
+export const encodeMessage = (message) => cbor.encode(message)
+
+/**
+ * Remove the Automerge changes carried by a `sync` or `request` message while
+ * keeping its heads, needs and bloom filters, so the sender can still receive
+ * the document but nothing it sends is applied.
+ * @template {{ [key: string]: unknown }} M
+ * @param {M} message
+ * @returns {{ message: M, dropped: number }}
+ */
+export const withoutChanges = (message) => {
+  const decoded = Automerge.decodeSyncMessage(
+    /** @type {Uint8Array} */ (message.data),
+  )
+  const dropped = decoded.changes.length
+  if (dropped === 0) return { message, dropped }
+  return {
+    message: {
+      ...message,
+      data: Automerge.encodeSyncMessage({ ...decoded, changes: [] }),
+    },
+    dropped,
+  }
+}
+
+/** Payload `type` of the notice sent when the server drops a client's changes. */
+export const WRITE_REJECTED = "amrg:write-rejected"
+
+/**
+ * Build the ephemeral message that tells one peer its changes to a document
+ * were dropped. Clients see it via `handle.on("ephemeral-message")` as
+ * `{ type: WRITE_REJECTED, documentId, reason }`.
+ * @param {{ senderId: string, targetId: string, documentId: string, sessionId: string, count: number, reason: string }} opts
+ */
+export const writeRejectedMessage = ({
+  senderId,
+  targetId,
+  documentId,
+  sessionId,
+  count,
+  reason,
+}) => ({
+  type: "ephemeral",
+  senderId,
+  targetId,
+  documentId,
+  sessionId,
+  count,
+  data: cbor.encode({ type: WRITE_REJECTED, documentId, reason }),
+})
+
+/**
+ * A sync message with no heads. Automerge reads it as the sender having lost
+ * its copy of the document, so the receiver forgets which changes it already
+ * sent and offers them again. Used to recover changes the server stripped
+ * once their author is allowed to write.
+ * @param {{ senderId: string, targetId: string, documentId: string }} opts
+ */
+export const resyncMessage = ({ senderId, targetId, documentId }) => ({
+  type: "sync",
+  senderId,
+  targetId,
+  documentId,
+  data: Automerge.encodeSyncMessage({
+    heads: [],
+    need: [],
+    have: [],
+    changes: [],
+  }),
+})
@@ -0,0 +1,63 @@
+// @ts-check
+
+/** Buckets kept before full (idle) ones are dropped */
+const MAX_IDLE_BUCKETS = 10_000
+
+/**
+ * Token buckets by key: each holds up to `burst` tokens and refills at `rate`
+ * tokens per second. A rate of 0 turns the limiter off.
+ * @param {{ rate: number, burst: number }} options
+ */
+export const createRateLimiter = ({ rate, burst }) => {
+  /** @type {Map<string, { tokens: number, at: number }>} */
+  const buckets = new Map()
+
+  /** @param {string} key @param {number} now */
+  const refill = (key, now) => {
+    const bucket = buckets.get(key) ?? { tokens: burst, at: now }
+    bucket.tokens = Math.min(
+      burst,
+      bucket.tokens + ((now - bucket.at) / 1000) * rate,
+    )
+    bucket.at = now
+    return bucket
+  }
+
+  const prune = () => {
+    const now = Date.now()
+    for (const [key, bucket] of buckets) {
+      if (refill(key, now).tokens >= burst) buckets.delete(key)
+    }
+  }
+
+  return {
+    /**
+     * Take `cost` tokens from `key`'s bucket.
+     * @param {string} key
+     * @param {number} [cost]
+     * @returns {boolean} false if there weren't enough, in which case none are taken
+     */
+    take(key, cost = 1) {
+      if (!(rate > 0)) return true
+      const bucket = refill(key, Date.now())
+      if (bucket.tokens < cost) {
+        buckets.set(key, bucket)
+        return false
+      }
+      bucket.tokens -= cost
+      buckets.set(key, bucket)
+      if (buckets.size > MAX_IDLE_BUCKETS) prune()
+      return true
+    },
+    /**
+     * Whole seconds until `key` has a token again, for `Retry-After`.
+     * @param {string} key
+     */
+    retryAfter(key) {
+      const bucket = buckets.get(key)
+      if (!bucket || !(rate > 0)) return 0
+      const missing = 1 - refill(key, Date.now()).tokens
+      return missing > 0 ? Math.ceil(missing / rate) : 0
+    },
+  }
+}
@@ -0,0 +1,257 @@
+// @ts-check
+import fs from "fs"
+
+/** Characters of context on each side of the first match in a snippet */
+const SNIPPET_CONTEXT = 60
+/** How long a document's changes are batched before it is reindexed */
+const REINDEX_DELAY_MS = 500
+/** How long index writes are batched before the file is rewritten */
+const SAVE_DELAY_MS = 2000
+/** Text past this length isn't indexed, to bound memory per document */
+const MAX_INDEXED_CHARS = 1_000_000
+/** Label matches count this much more than a match in the content */
+const LABEL_BOOST = 3
+
+/**
+ * Lowercased words of `text`: runs of letters and digits in any script.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  String(text)
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) ?? []
+
+/**
+ * Every string value in a document, map keys aside, one per line.
+ * @param {any} doc
+ */
+export const textOf = (doc) => {
+  /** @type {string[]} */
+  const parts = []
+  let length = 0
+  /** @param {any} value */
+  const walk = (value) => {
+    if (length > MAX_INDEXED_CHARS) return
+    if (typeof value === "string") {
+      parts.push(value)
+      length += value.length + 1
+    } else if (
+      value &&
+      typeof value === "object" &&
+      !ArrayBuffer.isView(value) &&
+      !(value instanceof Date)
+    ) {
+      for (const child of Object.values(value)) walk(child)
+    }
+  }
+  walk(doc)
+  return parts.join("\n").slice(0, MAX_INDEXED_CHARS)
+}
+
+/** @param {string} s */
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+/**
+ * Up to SNIPPET_CONTEXT characters on either side of the first word in
+ * `text` starting with one of `terms`, on one line.
+ * @param {string} text
+ * @param {string[]} terms
+ */
+const snippetOf = (text, terms) => {
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})`,
+    "iu",
+  )
+  const match = pattern.exec(text)
+  const at = match ? match.index : 0
+  const start = Math.max(0, at - SNIPPET_CONTEXT)
+  const end = Math.min(
+    text.length,
+    at + (match ? match[0].length : 0) + SNIPPET_CONTEXT,
+  )
+  const body = text.slice(start, end).replace(/\s+/g, " ").trim()
+  return `${start > 0 ? "…" : ""}${body}${end < text.length ? "…" : ""}`
+}
+
+/**
+ * @typedef {{ docId: string, score: number, snippet: string }} SearchHit
+ */
+
+/**
+ * An in-memory inverted index over the text of documents, kept in `path` as
+ * `{ docId: text }` so it survives restarts without loading every document.
+ * Documents are reindexed a moment after they change, so a burst of edits
+ * costs one pass over the document.
+ * @param {{ path: string }} options
+ */
+export const createSearchIndex = ({ path }) => {
+  /** @type {Map<string, { text: string, terms: Map<string, number> }>} */
+  const docs = new Map()
+  /** @type {Map<string, Set<string>>} term -> docIds */
+  const postings = new Map()
+
+  /** @param {string} docId */
+  const unindex = (docId) => {
+    const entry = docs.get(docId)
+    if (!entry) return
+    for (const term of entry.terms.keys()) {
+      const ids = postings.get(term)
+      ids?.delete(docId)
+      if (ids && !ids.size) postings.delete(term)
+    }
+    docs.delete(docId)
+  }
+
+  /** @param {string} docId @param {string} text */
+  const index = (docId, text) => {
+    unindex(docId)
+    if (!text) return
+    /** @type {Map<string, number>} */
+    const terms = new Map()
+    for (const term of tokenize(text))
+      terms.set(term, (terms.get(term) ?? 0) + 1)
+    for (const term of terms.keys()) {
+      let ids = postings.get(term)
+      if (!ids) postings.set(term, (ids = new Set()))
+      ids.add(docId)
+    }
+    docs.set(docId, { text, terms })
+  }
+
+  try {
+    const json = JSON.parse(fs.readFileSync(path, "utf8"))
+    if (json && typeof json === "object") {
+      for (const [docId, text] of Object.entries(json)) {
+        if (typeof text === "string") index(docId, text)
+      }
+    }
+  } catch {}
+
+  /** @type {NodeJS.Timeout | null} */
+  let saveTimer = null
+  const save = () => {
+    if (saveTimer) clearTimeout(saveTimer)
+    saveTimer = null
+    /** @type {Record<string, string>} */
+    const out = {}
+    for (const [docId, { text }] of docs) out[docId] = text
+    try {
+      fs.writeFileSync(path, JSON.stringify(out))
+    } catch {}
+  }
+  const scheduleSave = () => {
+    if (saveTimer) return
+    saveTimer = setTimeout(save, SAVE_DELAY_MS)
+    saveTimer.unref()
+  }
+
+  /** @type {Map<string, { timer: NodeJS.Timeout, flush: () => void }>} */
+  const pending = new Map()
+
+  return {
+    /**
+     * Reindex `docId` shortly, reading its current content with `read`
+     * (null when it can't be read right now).
+     * @param {string} docId
+     * @param {() => any} read
+     */
+    queueUpdate(docId, read) {
+      if (pending.has(docId)) return
+      const flush = () => {
+        clearTimeout(timer)
+        pending.delete(docId)
+        const doc = read()
+        if (doc === null) return
+        index(docId, textOf(doc))
+        scheduleSave()
+      }
+      const timer = setTimeout(flush, REINDEX_DELAY_MS)
+      timer.unref()
+      pending.set(docId, { timer, flush })
+    },
+    /** @param {string} docId */
+    remove(docId) {
+      const queued = pending.get(docId)
+      if (queued) clearTimeout(queued.timer)
+      pending.delete(docId)
+      if (!docs.has(docId)) return
+      unindex(docId)
+      scheduleSave()
+    },
+    /**
+     * Documents containing every word of `query`, best first. The last word
+     * also matches as a prefix, so results follow along while typing. Scores
+     * add up TF-IDF per word, with matches in a label counting extra.
+     * @param {string} query
+     * @param {object} options
+     * @param {Record<string, string>} options.labels - docId -> label, searched as well
+     * @param {(docId: string) => boolean} options.include - whether the caller may see a document
+     * @param {number} options.limit
+     * @returns {SearchHit[]}
+     */
+    search(query, { labels, include, limit }) {
+      const words = [...new Set(tokenize(query))]
+      if (!words.length) return []
+      const last = words[words.length - 1]
+      /** The indexed terms each query word matches */
+      const expanded = words.map((word) =>
+        word === last
+          ? [...postings.keys()].filter((term) => term.startsWith(word))
+          : postings.has(word)
+          ? [word]
+          : [],
+      )
+      /** @param {string} term @param {number} i */
+      const wordMatches = (term, i) =>
+        i === words.length - 1 ? term.startsWith(words[i]) : term === words[i]
+
+      /** @type {Set<string>} */
+      const candidates = new Set()
+      for (const term of expanded[0]) {
+        for (const docId of postings.get(term) ?? []) candidates.add(docId)
+      }
+      /** @type {Record<string, string[]>} */
+      const labelTerms = {}
+      for (const [docId, label] of Object.entries(labels)) {
+        labelTerms[docId] = tokenize(label)
+        if (labelTerms[docId].some((term) => wordMatches(term, 0)))
+          candidates.add(docId)
+      }
+
+      /** @type {SearchHit[]} */
+      const hits = []
+      for (const docId of candidates) {
+        if (!include(docId)) continue
+        const entry = docs.get(docId)
+        let score = 0
+        const matchesAll = words.every((_, i) => {
+          let tf = 0
+          let df = 0
+          for (const term of expanded[i]) {
+            tf += entry?.terms.get(term) ?? 0
+            df += postings.get(term)?.size ?? 0
+          }
+          const inLabel = (labelTerms[docId] ?? []).some((term) =>
+            wordMatches(term, i),
+          )
+          if (tf) score += (1 + Math.log(tf)) * Math.log(1 + docs.size / df)
+          if (inLabel) score += LABEL_BOOST
+          return tf > 0 || inLabel
+        })
+        if (!matchesAll) continue
+        hits.push({
+          docId,
+          score: Math.round(score * 1000) / 1000,
+          snippet: entry ? snippetOf(entry.text, words) : "",
+        })
+      }
+      return hits.sort((a, b) => b.score - a.score).slice(0, limit)
+    },
+    /** Index what is still waiting and write the index out */
+    close() {
+      for (const { flush } of [...pending.values()]) flush()
+      if (saveTimer) save()
+    },
+  }
+}
@@ -0,0 +1,295 @@
+// @ts-check
+import crypto from "crypto"
+import fs from "fs"
+
+/**
+ * Events a webhook can subscribe to. The `doc.*` events carry the document's
+ * ID and are coalesced per document (see `createWebhookDispatcher`).
+ * @typedef {"doc.changed" | "doc.created" | "doc.protected" | "doc.claimed" | "doc.locked" | "media.uploaded"} WebhookEvent
+ */
+/** @type {WebhookEvent[]} */
+export const WEBHOOK_EVENTS = [
+  "doc.changed",
+  "doc.created",
+  "doc.protected",
+  "doc.claimed",
+  "doc.locked",
+  "media.uploaded",
+]
+
+/**
+ * A registered endpoint. The secret signs every payload sent to it.
+ * @typedef {{ url: string, events: WebhookEvent[], secret: string, createdAt: number, createdBy: string }} Webhook
+ */
+
+/**
+ * A delivery waiting for its next attempt. `body` is kept as sent so every
+ * retry carries the same bytes and signature.
+ * @typedef {{ id: string, webhookId: string, event: WebhookEvent, docId: string | null, body: string, attempts: number, nextAttemptAt: number, createdAt: number }} QueuedDelivery
+ */
+
+/**
+ * One attempt, as recorded in the delivery log. `final` is set once the
+ * delivery succeeded or was given up on.
+ * @typedef {{ deliveryId: string, webhookId: string, event: WebhookEvent, docId: string | null, url: string, attempt: number, ok: boolean, status: number | null, error?: string, durationMs: number, at: number, final: boolean }} DeliveryAttempt
+ */
+
+/** Attempts before a delivery is given up on */
+const MAX_ATTEMPTS = 8
+/** Longest wait between two attempts */
+const MAX_BACKOFF_MS = 60 * 60 * 1000
+/** How long an endpoint gets to answer */
+const DELIVERY_TIMEOUT_MS = 10 * 1000
+
+/**
+ * The `X-Amrg-Signature` header for a payload: an HMAC-SHA256 of the raw
+ * request body, keyed with the webhook's secret.
+ * @param {string} secret
+ * @param {string} body
+ */
+export const signPayload = (secret, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`
+
+/**
+ * Queue and deliver webhook events. Events about the same document within
+ * `debounceMs` of the first one are sent as one delivery with the latest
+ * data. Deliveries wait in a JSON file until an endpoint answers with a 2xx,
+ * so they survive restarts; failed attempts are retried with exponential
+ * backoff starting at `retryBaseMs`. Every attempt is appended to the log.
+ *
+ * @param {object} options
+ * @param {() => Record<string, Webhook>} options.webhooks - the current registry, by ID
+ * @param {string} options.queuePath
+ * @param {string} options.logPath
+ * @param {number} options.debounceMs
+ * @param {number} options.retryBaseMs
+ */
+export const createWebhookDispatcher = ({
+  webhooks,
+  queuePath,
+  logPath,
+  debounceMs,
+  retryBaseMs,
+}) => {
+  /** @returns {QueuedDelivery[]} */
+  const loadQueue = () => {
+    try {
+      const json = JSON.parse(fs.readFileSync(queuePath, "utf8"))
+      if (Array.isArray(json)) return json
+    } catch {}
+    return []
+  }
+  /** @param {QueuedDelivery[]} queue */
+  const saveQueue = (queue) => {
+    try {
+      fs.writeFileSync(queuePath, JSON.stringify(queue, null, 2))
+    } catch {}
+  }
+
+  /** @returns {DeliveryAttempt[]} oldest first */
+  const loadLog = () => {
+    try {
+      return fs
+        .readFileSync(logPath, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+    } catch {
+      return []
+    }
+  }
+  /** @param {DeliveryAttempt} entry */
+  const log = (entry) => {
+    try {
+      fs.appendFileSync(logPath, `${JSON.stringify(entry)}\n`)
+    } catch {}
+  }
+
+  /** @param {WebhookEvent} event */
+  const subscribersOf = (event) =>
+    Object.entries(webhooks())
+      .filter(([, hook]) => hook.events.includes(event))
+      .map(([id]) => id)
+
+  /**
+   * @param {WebhookEvent} event
+   * @param {string | null} docId
+   * @param {Record<string, any>} data
+   */
+  const enqueue = (event, docId, data) => {
+    const subscribers = subscribersOf(event)
+    if (!subscribers.length) return
+    const queue = loadQueue()
+    const now = Date.now()
+    for (const webhookId of subscribers) {
+      const id = crypto.randomUUID()
+      const body = JSON.stringify({
+        id,
+        event,
+        webhookId,
+        timestamp: now,
+        docId,
+        data,
+      })
+      queue.push({
+        id,
+        webhookId,
+        event,
+        docId,
+        body,
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+      })
+    }
+    saveQueue(queue)
+    schedule()
+  }
+
+  /** @param {QueuedDelivery} delivery */
+  const attempt = async (delivery) => {
+    const hook = webhooks()[delivery.webhookId]
+    const attempts = delivery.attempts + 1
+    /** @type {number | null} */
+    let status = null
+    let error = ""
+    const start = Date.now()
+    if (hook) {
+      try {
+        const res = await fetch(hook.url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "automerge-repo-sync-server",
+            "X-Amrg-Event": delivery.event,
+            "X-Amrg-Delivery": delivery.id,
+            "X-Amrg-Signature": signPayload(hook.secret, delivery.body),
+          },
+          body: delivery.body,
+          redirect: "manual",
+          signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+        })
+        status = res.status
+        await res.body?.cancel()
+      } catch (e) {
+        error = e instanceof Error ? e.message : String(e)
+      }
+    }
+    const ok = status !== null && status >= 200 && status < 300
+    // A removed webhook's deliveries are dropped without a log entry
+    const final = !hook || ok || attempts >= MAX_ATTEMPTS
+    if (hook) {
+      log({
+        deliveryId: delivery.id,
+        webhookId: delivery.webhookId,
+        event: delivery.event,
+        docId: delivery.docId,
+        url: hook.url,
+        attempt: attempts,
+        ok,
+        status,
+        ...(error ? { error } : {}),
+        durationMs: Date.now() - start,
+        at: start,
+        final,
+      })
+    }
+    const queue = loadQueue()
+    const i = queue.findIndex((d) => d.id === delivery.id)
+    if (i === -1) return
+    if (final) {
+      queue.splice(i, 1)
+    } else {
+      const backoff = Math.min(
+        retryBaseMs * 2 ** (attempts - 1),
+        MAX_BACKOFF_MS,
+      )
+      queue[i] = { ...queue[i], attempts, nextAttemptAt: Date.now() + backoff }
+    }
+    saveQueue(queue)
+  }
+
+  /** @type {NodeJS.Timeout | null} */
+  let timer = null
+  let draining = false
+  let closed = false
+
+  // One delivery at a time, oldest due first
+  const drain = async () => {
+    if (draining || closed) return
+    draining = true
+    try {
+      for (;;) {
+        const due = loadQueue().find((d) => d.nextAttemptAt <= Date.now())
+        if (!due || closed) break
+        await attempt(due)
+      }
+    } finally {
+      draining = false
+      schedule()
+    }
+  }
+
+  // Wake up when the next queued delivery is due
+  const schedule = () => {
+    if (timer) clearTimeout(timer)
+    timer = null
+    if (closed || draining) return
+    const queue = loadQueue()
+    if (!queue.length) return
+    const next = Math.min(...queue.map((d) => d.nextAttemptAt))
+    timer = setTimeout(drain, Math.max(0, next - Date.now()))
+    timer.unref()
+  }
+
+  /** @type {Map<string, { data: Record<string, any>, timer: NodeJS.Timeout, flush: () => void }>} event + docId -> pending */
+  const pending = new Map()
+
+  schedule()
+
+  return {
+    /**
+     * Send `event` to every webhook subscribed to it.
+     * @param {WebhookEvent} event
+     * @param {Record<string, any>} data
+     * @param {string | null} [docId] - coalesces events about the same document
+     */
+    emit(event, data, docId = null) {
+      if (closed || !subscribersOf(event).length) return
+      if (!docId) return enqueue(event, null, data)
+      const key = `${event} ${docId}`
+      const existing = pending.get(key)
+      // Later events only update the data, so a busy document is still sent
+      // `debounceMs` after its first event
+      if (existing) {
+        existing.data = data
+        return
+      }
+      const entry = {
+        data,
+        flush: () => {
+          clearTimeout(entry.timer)
+          pending.delete(key)
+          enqueue(event, docId, entry.data)
+        },
+        timer: setTimeout(() => entry.flush(), debounceMs),
+      }
+      entry.timer.unref()
+      pending.set(key, entry)
+    },
+    /** @param {number} [limit] @returns {DeliveryAttempt[]} newest first */
+    deliveries(limit = 100) {
+      return loadLog().slice(-limit).reverse()
+    },
+    /** @returns {QueuedDelivery[]} */
+    queued() {
+      return loadQueue()
+    },
+    /** Stop delivering; coalesced events still waiting are queued for the next start */
+    close() {
+      closed = true
+      if (timer) clearTimeout(timer)
+      for (const entry of [...pending.values()]) entry.flush()
+    },
+  }
+}
@@ -0,0 +1,210 @@
+// @ts-check
+import assert from "assert"
+import fs from "fs"
+import path from "path"
+import { after, before } from "mocha"
+import { cookiesFrom, postJSON, startSync } from "./helpers.js"
+
+describe("Admin accounts", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** Session of the bootstrap AUTH_TOKEN login */
+  let root = ""
+
+  before(async () => {
+    ctx = await startSync(3053, { authToken: "admin-secret" })
+    root = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/login`, { password: "admin-secret" }),
+    )
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {string} username @param {string} password */
+  const login = async (username, password) => {
+    const res = await postJSON(`${ctx.baseUrl}/login`, { username, password })
+    return { status: res.status, cookie: cookiesFrom(res) }
+  }
+
+  /** @param {string} username @param {string} role */
+  const addAccount = async (username, role, cookie = root) => {
+    const res = await postJSON(
+      `${ctx.baseUrl}/admin/accounts`,
+      { username, password: `${username}-pw`, role },
+      { cookie },
+    )
+    return res.status
+  }
+
+  it("keeps an opaque session ID in the cookie, not the token", async () => {
+    assert.match(root, /^amrg_auth=/)
+    assert.doesNotMatch(root, /admin-secret/)
+    const me = await (
+      await fetch(`${ctx.baseUrl}/admin/me`, { headers: { cookie: root } })
+    ).json()
+    assert.deepEqual(me.admin, { username: "(auth-token)", role: "owner" })
+
+    const forged = await fetch(`${ctx.baseUrl}/metrics.json`, {
+      headers: { cookie: "amrg_auth=admin-secret" },
+    })
+    assert.equal(forged.status, 401)
+
+    const sessions = fs.readFileSync(
+      path.join(ctx.dataDir, ".sessions.json"),
+      "utf8",
+    )
+    assert.ok(!sessions.includes(root.split("=")[1]))
+  })
+
+  it("gates routes by role", async () => {
+    assert.equal(await addAccount("vera", "viewer"), 200)
+    assert.equal(await addAccount("otto", "operator"), 200)
+    assert.equal(await addAccount("vera", "owner"), 409)
+
+    const vera = await login("vera", "vera-pw")
+    const otto = await login("otto", "otto-pw")
+    assert.equal(vera.status, 200)
+    assert.equal((await login("vera", "wrong")).status, 401)
+
+    const metrics = await fetch(`${ctx.baseUrl}/metrics.json`, {
+      headers: { cookie: vera.cookie },
+    })
+    assert.equal(metrics.status, 200)
+
+    const label = (/** @type {string} */ cookie) =>
+      postJSON(`${ctx.baseUrl}/docs/some-doc/label`, { label: "x" }, { cookie })
+    assert.equal((await label(vera.cookie)).status, 403)
+    assert.equal((await label(otto.cookie)).status, 200)
+    assert.equal((await label("")).status, 401)
+
+    const protect = await postJSON(
+      `${ctx.baseUrl}/docs/some-doc/protect`,
+      { password: "pw" },
+      { cookie: vera.cookie },
+    )
+    assert.equal(protect.status, 403)
+
+    assert.equal(await addAccount("eve", "owner", otto.cookie), 403)
+  })
+
+  it("ends sessions on logout, removal and password rotation", async () => {
+    assert.equal(await addAccount("rita", "viewer"), 200)
+    const first = await login("rita", "rita-pw")
+    const second = await login("rita", "rita-pw")
+    /** @param {string} cookie */
+    const metricsStatus = async (cookie) =>
+      (await fetch(`${ctx.baseUrl}/metrics.json`, { headers: { cookie } }))
+        .status
+
+    await postJSON(`${ctx.baseUrl}/logout`, {}, { cookie: first.cookie })
+    assert.equal(await metricsStatus(first.cookie), 401)
+    assert.equal(await metricsStatus(second.cookie), 200)
+
+    // Rotating your own password keeps the current session only
+    const third = await login("rita", "rita-pw")
+    const rotate = await postJSON(
+      `${ctx.baseUrl}/admin/accounts/rita/rotate`,
+      { password: "new-pw" },
+      { cookie: third.cookie },
+    )
+    assert.equal(rotate.status, 200)
+    assert.equal(await metricsStatus(third.cookie), 200)
+    assert.equal(await metricsStatus(second.cookie), 401)
+    assert.equal((await login("rita", "rita-pw")).status, 401)
+    assert.equal((await login("rita", "new-pw")).status, 200)
+
+    // Viewers can't rotate other accounts
+    const other = await postJSON(
+      `${ctx.baseUrl}/admin/accounts/vera/rotate`,
+      { password: "x" },
+      { cookie: third.cookie },
+    )
+    assert.equal(other.status, 403)
+
+    const removed = await fetch(`${ctx.baseUrl}/admin/accounts/rita`, {
+      method: "DELETE",
+      headers: { cookie: root },
+    })
+    assert.equal(removed.status, 200)
+    assert.equal(await metricsStatus(third.cookie), 401)
+
+    const list = await (
+      await fetch(`${ctx.baseUrl}/admin/accounts`, {
+        headers: { cookie: root },
+      })
+    ).json()
+    assert.deepEqual(
+      list.accounts.map((/** @type {any} */ a) => a.username).sort(),
+      ["otto", "vera"],
+    )
+  })
+})
+
+describe("Admin accounts without AUTH_TOKEN", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3054)
+  })
+
+  after(() => ctx.stop())
+
+  it("lets the first owner bootstrap auth and keeps one owner", async () => {
+    assert.equal(
+      (await fetch(`${ctx.baseUrl}/metrics.json`)).status,
+      200,
+      "open while no accounts exist",
+    )
+    const viewerFirst = await postJSON(`${ctx.baseUrl}/admin/accounts`, {
+      username: "vera",
+      password: "pw",
+      role: "viewer",
+    })
+    assert.equal(viewerFirst.status, 400)
+
+    const created = await postJSON(`${ctx.baseUrl}/admin/accounts`, {
+      username: "olive",
+      password: "olive-pw",
+      role: "owner",
+    })
+    assert.equal(created.status, 200)
+    assert.equal((await fetch(`${ctx.baseUrl}/metrics.json`)).status, 401)
+
+    const res = await postJSON(`${ctx.baseUrl}/login`, {
+      username: "olive",
+      password: "olive-pw",
+    })
+    const cookie = cookiesFrom(res)
+    const removeSelf = await fetch(`${ctx.baseUrl}/admin/accounts/olive`, {
+      method: "DELETE",
+      headers: { cookie },
+    })
+    assert.equal(removeSelf.status, 409)
+    assert.equal((await removeSelf.json()).error, "last_owner")
+  })
+})
+
+describe("Changing AUTH_TOKEN", () => {
+  it("ends sessions signed in with the old token", async () => {
+    const old = await startSync(3073, { authToken: "old-secret" })
+    // A restart with a new token, on the same data dir
+    const restarted = await startSync(3074, {
+      authToken: "new-secret",
+      dataDir: old.dataDir,
+    })
+    try {
+      const cookie = cookiesFrom(
+        await postJSON(`${old.baseUrl}/login`, { password: "old-secret" }),
+      )
+      /** @param {string} baseUrl */
+      const status = async (baseUrl) =>
+        (await fetch(`${baseUrl}/metrics.json`, { headers: { cookie } })).status
+      assert.equal(await status(old.baseUrl), 200)
+      assert.equal(await status(restarted.baseUrl), 401)
+    } finally {
+      await restarted.stop()
+      await old.stop()
+    }
+  })
+})
@@ -0,0 +1,143 @@
+// @ts-check
+import assert from "assert"
+import { after, before } from "mocha"
+import { WebSocket } from "ws"
+import {
+  changeMessage,
+  cookiesFrom,
+  postJSON,
+  sendSync,
+  startSync,
+} from "./helpers.js"
+
+describe("API keys", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  let root = ""
+
+  before(async () => {
+    ctx = await startSync(3055, { authToken: "admin-secret" })
+    root = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/login`, { password: "admin-secret" }),
+    )
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {Record<string, any>} body */
+  const mint = async (body) => {
+    const res = await postJSON(`${ctx.baseUrl}/admin/keys`, body, {
+      cookie: root,
+    })
+    assert.equal(res.status, 200)
+    return res.json()
+  }
+
+  const listKeys = async () =>
+    (
+      await (
+        await fetch(`${ctx.baseUrl}/admin/keys`, { headers: { cookie: root } })
+      ).json()
+    ).keys
+
+  /** @param {string} key @param {string} [path] */
+  const bearer = (key, path = "/metrics.json") =>
+    fetch(`${ctx.baseUrl}${path}`, {
+      headers: { authorization: `Bearer ${key}` },
+    })
+
+  /** @param {Record<string, string>} [headers] @param {string[]} [protocols] */
+  const upgradeStatus = (headers = {}, protocols = []) =>
+    new Promise((resolve) => {
+      const ws = new WebSocket(ctx.wsUrl, protocols, { headers })
+      ws.on("open", () => {
+        ws.terminate()
+        resolve(101)
+      })
+      ws.on("unexpected-response", (_req, res) => resolve(res.statusCode))
+      ws.on("error", () => {})
+    })
+
+  it("mints, lists and revokes keys, recording when they were used", async () => {
+    const minted = await mint({ name: "ci", role: "viewer" })
+    assert.match(minted.key, /^amrg_[0-9a-f]{16}_/)
+
+    let [listed] = await listKeys()
+    assert.equal(listed.id, minted.id)
+    assert.equal(listed.lastUsedAt, null)
+    assert.ok(!("hash" in listed) && !("key" in listed))
+
+    assert.equal((await bearer(minted.key)).status, 200)
+    ;[listed] = await listKeys()
+    assert.ok(listed.lastUsedAt > 0)
+
+    const me = await (await bearer(minted.key, "/admin/me")).json()
+    assert.equal(me.admin.role, "viewer")
+    assert.equal(me.apiKey.name, "ci")
+
+    const revoked = await fetch(`${ctx.baseUrl}/admin/keys/${minted.id}`, {
+      method: "DELETE",
+      headers: { cookie: root },
+    })
+    assert.equal(revoked.status, 200)
+    assert.equal((await bearer(minted.key)).status, 401)
+    assert.equal((await bearer(`${minted.key}x`)).status, 401)
+  })
+
+  it("enforces the admin role of a key", async () => {
+    const { key } = await mint({ name: "reader", role: "viewer" })
+    const label = await fetch(`${ctx.baseUrl}/docs/some-doc/label`, {
+      method: "POST",
+      headers: {
+        authorization: `Bearer ${key}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ label: "x" }),
+    })
+    assert.equal(label.status, 403)
+    assert.equal((await bearer(key, "/admin/keys")).status, 403)
+  })
+
+  it("accepts keys on the WebSocket upgrade as a header or subprotocol", async () => {
+    const { key } = await mint({ name: "worker", docs: ["some-doc"] })
+    assert.equal(await upgradeStatus(), 401)
+    assert.equal(await upgradeStatus({ authorization: `Bearer ${key}` }), 101)
+    assert.equal(await upgradeStatus({}, [`amrg-key.${key}`]), 101)
+    assert.equal(await upgradeStatus({ authorization: "Bearer nope" }), 401)
+  })
+
+  it("limits doc-scoped keys to their documents and read keys to reading", async () => {
+    const scoped = ctx.sync.repo.create({ title: "seed" })
+    const other = ctx.sync.repo.create({ title: "seed" })
+    const writer = await mint({
+      name: "writer",
+      docs: [scoped.url],
+      access: "write",
+    })
+    const reader = await mint({ name: "reader", docs: [scoped.url] })
+
+    const status = async (/** @type {string} */ key, /** @type {any} */ h) =>
+      (await bearer(key, `/docs/${h.documentId}/status`)).json()
+    assert.equal((await status(writer.key, scoped)).canWrite, true)
+    assert.equal((await status(writer.key, other)).canRead, false)
+    assert.equal((await status(reader.key, scoped)).canWrite, false)
+
+    /** @param {any} handle @param {string} key @param {string} title */
+    const edit = (handle, key, title) =>
+      sendSync(
+        ctx.wsUrl,
+        handle.documentId,
+        changeMessage(handle.doc(), (d) => {
+          d.title = title
+        }),
+        { authorization: `Bearer ${key}` },
+      )
+
+    await edit(scoped, reader.key, "from reader")
+    assert.equal(scoped.doc().title, "seed")
+    await edit(other, writer.key, "out of scope")
+    assert.equal(other.doc().title, "seed")
+    await edit(scoped, writer.key, "from writer")
+    assert.equal(scoped.doc().title, "from writer")
+  })
+})
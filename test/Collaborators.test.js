@@ -0,0 +1,153 @@
+// @ts-check
+import assert from "assert"
+import { after, before } from "mocha"
+import {
+  changeMessage,
+  cookiesFrom,
+  postJSON,
+  sendSync,
+  startSync,
+} from "./helpers.js"
+
+describe("Collaborators", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** @type {Record<string, { cookie: string, userId: string }>} */
+  const users = {}
+
+  before(async () => {
+    ctx = await startSync(3057)
+    for (const name of ["owner", "bob", "carol", "dave"]) {
+      const res = await postJSON(`${ctx.baseUrl}/users/embody`, {
+        userKey: `${name}-key`,
+      })
+      users[name] = {
+        cookie: cookiesFrom(res),
+        userId: (await res.json()).userId,
+      }
+    }
+  })
+
+  after(() => ctx.stop())
+
+  /** A claimed, protected and private document */
+  const ownedDoc = async () => {
+    const handle = ctx.sync.repo.create({ title: "seed" })
+    const docId = handle.documentId
+    const { cookie } = users.owner
+    await postJSON(`${ctx.baseUrl}/docs/${docId}/claim`, {}, { cookie })
+    await postJSON(`${ctx.baseUrl}/docs/${docId}/protect`, { password: "pw" })
+    await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/visibility`,
+      { visibility: "private" },
+      { cookie },
+    )
+    return handle
+  }
+
+  /** @param {string} docId @param {string} name @param {string} role */
+  const grant = (docId, name, role, as = "owner") =>
+    postJSON(
+      `${ctx.baseUrl}/docs/${docId}/collaborators`,
+      { userId: users[name].userId, role },
+      { cookie: users[as].cookie },
+    )
+
+  /** @param {string} docId @param {string} name */
+  const status = async (docId, name) =>
+    (
+      await fetch(`${ctx.baseUrl}/docs/${docId}/status`, {
+        headers: { cookie: users[name].cookie },
+      })
+    ).json()
+
+  /** @param {any} handle @param {string} name @param {string} title */
+  const edit = (handle, name, title) =>
+    sendSync(
+      ctx.wsUrl,
+      handle.documentId,
+      changeMessage(handle.doc(), (d) => {
+        d.title = title
+      }),
+      { cookie: users[name].cookie },
+    )
+
+  it("lets only the owner manage collaborators", async () => {
+    const { documentId: docId } = await ownedDoc()
+    assert.equal((await grant(docId, "dave", "editor", "bob")).status, 403)
+    assert.equal((await grant(docId, "bob", "editor")).status, 200)
+    assert.equal((await grant(docId, "carol", "owner")).status, 400)
+
+    /** @param {string} name */
+    const list = (name) =>
+      fetch(`${ctx.baseUrl}/docs/${docId}/collaborators`, {
+        headers: { cookie: users[name].cookie },
+      })
+    const listed = await (await list("bob")).json()
+    assert.deepEqual(
+      listed.collaborators.map((/** @type {any} */ c) => [c.userId, c.role]),
+      [[users.bob.userId, "editor"]],
+    )
+    assert.equal((await list("dave")).status, 403)
+
+    const removed = await fetch(
+      `${ctx.baseUrl}/docs/${docId}/collaborators/${users.bob.userId}`,
+      { method: "DELETE", headers: { cookie: users.owner.cookie } },
+    )
+    assert.equal(removed.status, 200)
+    assert.equal((await status(docId, "bob")).canRead, false)
+  })
+
+  it("honors grants in status and the WebSocket gate", async () => {
+    const handle = await ownedDoc()
+    const docId = handle.documentId
+    await grant(docId, "bob", "editor")
+    await grant(docId, "carol", "viewer")
+
+    const bob = await status(docId, "bob")
+    assert.deepEqual(
+      [bob.canRead, bob.canWrite, bob.role],
+      [true, true, "editor"],
+    )
+    const carol = await status(docId, "carol")
+    assert.deepEqual(
+      [carol.canRead, carol.canWrite, carol.role],
+      [true, false, "viewer"],
+    )
+    assert.equal((await status(docId, "dave")).canRead, false)
+    assert.equal((await status(docId, "owner")).role, "owner")
+
+    await edit(handle, "carol", "from viewer")
+    assert.equal(handle.doc().title, "seed")
+    await edit(handle, "bob", "from editor")
+    assert.equal(handle.doc().title, "from editor")
+  })
+
+  it("makes commenters read-only while the document is locked", async () => {
+    const handle = await ownedDoc()
+    const docId = handle.documentId
+    await grant(docId, "carol", "commenter")
+    assert.equal((await status(docId, "carol")).canWrite, true)
+
+    await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/lock`,
+      { locked: true },
+      { cookie: users.owner.cookie },
+    )
+    assert.equal((await status(docId, "carol")).canWrite, false)
+    await edit(handle, "carol", "while locked")
+    assert.equal(handle.doc().title, "seed")
+  })
+
+  it("lists shared documents in /users/me/docs", async () => {
+    const { documentId: docId } = await ownedDoc()
+    await grant(docId, "dave", "viewer")
+    const mine = await (
+      await fetch(`${ctx.baseUrl}/users/me/docs`, {
+        headers: { cookie: users.dave.cookie },
+      })
+    ).json()
+    assert.deepEqual(mine.docs, [])
+    assert.deepEqual(mine.shared, [{ docId, role: "viewer" }])
+  })
+})
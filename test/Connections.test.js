@@ -0,0 +1,92 @@
+// @ts-check
+import assert from "assert"
+import { cbor } from "@automerge/automerge-repo"
+import { after, before } from "mocha"
+import { WebSocket } from "ws"
+import { changeMessage, cookiesFrom, postJSON, startSync } from "./helpers.js"
+
+describe("Connections", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** @type {Record<string, string>} */
+  const cookies = {}
+
+  before(async () => {
+    ctx = await startSync(3071, { authToken: "admin-secret" })
+    cookies.root = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/login`, { password: "admin-secret" }),
+    )
+    cookies.user = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/users/embody`, { userKey: "conn-key" }),
+    )
+  })
+
+  after(() => ctx.stop())
+
+  const list = async () =>
+    (
+      await (
+        await fetch(`${ctx.baseUrl}/admin/connections`, {
+          headers: { cookie: cookies.root },
+        })
+      ).json()
+    ).connections
+
+  it("lists connections and disconnects one", async () => {
+    const handle = ctx.sync.repo.create({ title: "seed" })
+    const docId = handle.documentId
+    const ws = new WebSocket(ctx.wsUrl, {
+      headers: {
+        cookie: `${cookies.root}; ${cookies.user}`,
+        "user-agent": "conn-test/1.0",
+      },
+    })
+    await new Promise((resolve) => ws.on("open", resolve))
+    ws.send(
+      cbor.encode({
+        type: "join",
+        senderId: "conn-peer",
+        peerMetadata: {},
+        supportedProtocolVersions: ["1"],
+      }),
+    )
+    ws.send(
+      cbor.encode({
+        type: "sync",
+        senderId: "conn-peer",
+        targetId: "server",
+        documentId: docId,
+        data: changeMessage(handle.doc(), (d) => {
+          d.title = "edited"
+        }),
+      }),
+    )
+    await new Promise((resolve) => setTimeout(resolve, 200))
+
+    const [conn] = (await list()).filter(
+      (/** @type {any} */ c) => c.peerId === "conn-peer",
+    )
+    assert.ok(conn)
+    assert.equal(conn.userAgent, "conn-test/1.0")
+    assert.match(conn.userId, /.+/)
+    assert.ok(conn.remoteAddress)
+    assert.ok(conn.bytesIn > 0 && conn.messagesIn === 2)
+    assert.deepEqual(
+      conn.documents.map((/** @type {any} */ d) => d.documentId),
+      [docId],
+    )
+
+    const closed = new Promise((resolve) =>
+      ws.on("close", (code) => resolve(code)),
+    )
+    const del = (/** @type {string} */ as) =>
+      fetch(`${ctx.baseUrl}/admin/connections/${conn.id}`, {
+        method: "DELETE",
+        headers: { cookie: as },
+      })
+    assert.equal((await del(cookies.user)).status, 401)
+    assert.equal((await del(cookies.root)).status, 200)
+    assert.equal(await closed, 4000)
+    assert.equal((await del(cookies.root)).status, 404)
+  })
+})
@@ -0,0 +1,85 @@
+// @ts-check
+import assert from "assert"
+import fs from "fs"
+import path from "path"
+import { after, before } from "mocha"
+import { cookiesFrom, postJSON, startSync } from "./helpers.js"
+
+describe("POST /docs", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** @type {Record<string, { cookie: string, userId: string }>} */
+  const users = {}
+  let root = ""
+
+  before(async () => {
+    ctx = await startSync(3066, { authToken: "admin-secret" })
+    root = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/login`, { password: "admin-secret" }),
+    )
+    for (const name of ["alice", "bob"]) {
+      const res = await postJSON(`${ctx.baseUrl}/users/embody`, {
+        userKey: `${name}-key`,
+      })
+      users[name] = {
+        cookie: cookiesFrom(res),
+        userId: (await res.json()).userId,
+      }
+    }
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {any} body @param {string} cookie */
+  const create = (body, cookie) =>
+    postJSON(`${ctx.baseUrl}/docs`, body, { cookie })
+
+  it("creates a document with initial content and metadata", async () => {
+    const res = await create(
+      {
+        content: { title: "seeded", nodes: [] },
+        label: "Team canvas",
+        ownerId: users.alice.userId,
+        password: "pw",
+      },
+      root,
+    )
+    assert.equal(res.status, 201)
+    const created = await res.json()
+    assert.equal(created.url, `automerge:${created.documentId}`)
+
+    const handle = await ctx.sync.repo.find(created.url)
+    assert.deepEqual(handle.doc(), { title: "seeded", nodes: [] })
+    const status = await (
+      await fetch(`${ctx.baseUrl}/docs/${created.documentId}/status`)
+    ).json()
+    assert.deepEqual(
+      [status.protected, status.ownerId],
+      [true, users.alice.userId],
+    )
+    const labels = JSON.parse(
+      fs.readFileSync(path.join(ctx.dataDir, ".labels.json"), "utf8"),
+    )
+    assert.deepEqual(labels[created.documentId], { label: "Team canvas" })
+  })
+
+  it("limits what callers who aren't operators may set", async () => {
+    const { key } = await (
+      await postJSON(
+        `${ctx.baseUrl}/admin/keys`,
+        { name: "provisioner", access: "write" },
+        { cookie: root },
+      )
+    ).json()
+    const auth = { authorization: `Bearer ${key}` }
+    /** @param {any} body @param {Record<string, string>} [headers] */
+    const post = (body, headers = auth) =>
+      postJSON(`${ctx.baseUrl}/docs`, body, headers)
+
+    assert.equal((await post({ content: { a: 1 } }, {})).status, 401)
+    assert.equal((await post({ content: { a: 1 } })).status, 201)
+    assert.equal((await post({ label: "x" })).status, 403)
+    assert.equal((await post({ ownerId: users.bob.userId })).status, 403)
+    assert.equal((await post({ content: [1, 2] })).status, 400)
+  })
+})
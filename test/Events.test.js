@@ -0,0 +1,116 @@
+// @ts-check
+import assert from "assert"
+import { after, before } from "mocha"
+import { postJSON, startSync } from "./helpers.js"
+
+describe("Document event stream", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3067)
+  })
+
+  after(() => ctx.stop())
+
+  /**
+   * Open `/docs/:docId/events` and read it event by event.
+   * @param {string} docId
+   * @param {Record<string, string>} [headers]
+   */
+  const subscribe = async (docId, headers = {}) => {
+    const controller = new AbortController()
+    const res = await fetch(`${ctx.baseUrl}/docs/${docId}/events`, {
+      headers,
+      signal: controller.signal,
+    })
+    const reader = /** @type {ReadableStream<Uint8Array>} */ (res.body)
+      .pipeThrough(new TextDecoderStream())
+      .getReader()
+    let buffered = ""
+    /** @returns {Promise<{ id: string, event: string, data: any }>} */
+    const next = async () => {
+      while (!buffered.includes("\n\n")) {
+        const { value, done } = await reader.read()
+        if (done) throw new Error("stream ended")
+        buffered += value
+      }
+      const end = buffered.indexOf("\n\n")
+      const block = buffered.slice(0, end)
+      buffered = buffered.slice(end + 2)
+      /** @type {Record<string, string>} */
+      const fields = {}
+      for (const line of block.split("\n")) {
+        const i = line.indexOf(": ")
+        if (i > 0) fields[line.slice(0, i)] = line.slice(i + 2)
+      }
+      return {
+        id: fields.id,
+        event: fields.event,
+        data: JSON.parse(fields.data),
+      }
+    }
+    return { res, next, close: () => controller.abort() }
+  }
+
+  it("sends a snapshot, then patches with the new heads", async () => {
+    const handle = ctx.sync.repo.create({ count: 0 })
+    const stream = await subscribe(handle.documentId)
+    assert.equal(stream.res.headers.get("content-type"), "text/event-stream")
+
+    const snapshot = await stream.next()
+    assert.equal(snapshot.event, "snapshot")
+    assert.deepEqual(snapshot.data.doc, { count: 0 })
+    assert.equal(snapshot.id, snapshot.data.heads.join(","))
+
+    handle.change((d) => {
+      d.count = 1
+    })
+    const patch = await stream.next()
+    assert.equal(patch.event, "patch")
+    assert.deepEqual(patch.data.patches, [
+      { action: "put", path: ["count"], value: 1 },
+    ])
+    assert.notEqual(patch.id, snapshot.id)
+    stream.close()
+  })
+
+  it("catches up from Last-Event-ID", async () => {
+    const handle = ctx.sync.repo.create({ count: 0 })
+    const first = await subscribe(handle.documentId)
+    const { id } = await first.next()
+    first.close()
+
+    handle.change((d) => {
+      d.count = 2
+    })
+    const resumed = await subscribe(handle.documentId, {
+      "Last-Event-ID": id,
+    })
+    const caughtUp = await resumed.next()
+    assert.equal(caughtUp.event, "patch")
+    assert.deepEqual(caughtUp.data.patches, [
+      { action: "put", path: ["count"], value: 2 },
+    ])
+    resumed.close()
+  })
+
+  it("needs read access and ends when the document is deleted", async () => {
+    const handle = ctx.sync.repo.create({ count: 0 })
+    const docId = handle.documentId
+    await ctx.sync.repo.flush([docId])
+    const stream = await subscribe(docId)
+    await stream.next()
+    await fetch(`${ctx.baseUrl}/docs/${docId}`, { method: "DELETE" })
+    await assert.rejects(stream.next(), /stream ended/)
+
+    const secret = ctx.sync.repo.create({ count: 0 })
+    await postJSON(`${ctx.baseUrl}/docs/${secret.documentId}/visibility`, {
+      visibility: "private",
+    })
+    const denied = await fetch(
+      `${ctx.baseUrl}/docs/${secret.documentId}/events`,
+    )
+    assert.equal(denied.status, 404)
+  })
+})
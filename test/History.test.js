@@ -0,0 +1,92 @@
+// @ts-check
+import assert from "assert"
+import { after, before } from "mocha"
+import { postJSON, startSync } from "./helpers.js"
+
+describe("History", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3063)
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {string} path */
+  const get = async (path) => {
+    const res = await fetch(`${ctx.baseUrl}${path}`)
+    return { status: res.status, body: await res.json() }
+  }
+
+  /** A document with three changes, the last two with messages */
+  const editedDoc = () => {
+    const handle = ctx.sync.repo.create({ title: "v1" })
+    handle.change(
+      (d) => {
+        d.title = "v2"
+      },
+      { message: "second" },
+    )
+    handle.change(
+      (d) => {
+        d.title = "v3"
+      },
+      { message: "third" },
+    )
+    return handle
+  }
+
+  it("pages through changes and reports the heads", async () => {
+    const handle = editedDoc()
+    const docId = handle.documentId
+    const first = await get(`/docs/${docId}/history?limit=2`)
+    assert.equal(first.status, 200)
+    assert.equal(first.body.total, 3)
+    assert.equal(first.body.changes.length, 2)
+    const rest = await get(`/docs/${docId}/history?offset=2&limit=2`)
+    const [last] = rest.body.changes
+    assert.equal(last.message, "third")
+    assert.equal(last.seq, 3)
+    assert.deepEqual(last.deps, [first.body.changes[1].hash])
+
+    const { body } = await get(`/docs/${docId}/heads`)
+    assert.deepEqual(body.heads, [last.hash])
+  })
+
+  it("renders past versions and diffs between them", async () => {
+    const handle = editedDoc()
+    const docId = handle.documentId
+    const { body } = await get(`/docs/${docId}/history`)
+    const [v1, v2, v3] = body.changes.map((/** @type {any} */ c) => c.hash)
+
+    assert.deepEqual((await get(`/docs/${docId}/at?heads=${v2}`)).body, {
+      title: "v2",
+    })
+    const diff = await get(`/docs/${docId}/diff?from=${v1}&to=${v3}`)
+    // Strings are text, so the new title arrives as a put and a splice
+    assert.deepEqual(
+      diff.body.patches.map((/** @type {any} */ p) => [p.action, p.value]),
+      [
+        ["put", ""],
+        ["splice", "v3"],
+      ],
+    )
+    const none = await get(`/docs/${docId}/diff?from=${v3}`)
+    assert.deepEqual(none.body.patches, [])
+    assert.equal(
+      (await get(`/docs/${docId}/at?heads=${"0".repeat(64)}`)).status,
+      400,
+    )
+    assert.equal((await get(`/docs/${docId}/diff?from=nope`)).status, 400)
+  })
+
+  it("hides the history of private documents", async () => {
+    const { documentId: docId } = editedDoc()
+    await postJSON(`${ctx.baseUrl}/docs/${docId}/visibility`, {
+      visibility: "private",
+    })
+    assert.equal((await get(`/docs/${docId}/history`)).status, 404)
+    assert.equal((await get(`/docs/${docId}/heads`)).status, 404)
+  })
+})
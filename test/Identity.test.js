@@ -0,0 +1,117 @@
+// @ts-check
+import assert from "assert"
+import { after, before } from "mocha"
+import { cookiesFrom, postJSON, startSync } from "./helpers.js"
+
+describe("Signed identity cookie", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3047, { authToken: "admin-secret" })
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {string} userKey @param {string} [baseUrl] */
+  const embody = async (userKey, baseUrl = ctx.baseUrl) => {
+    const res = await postJSON(`${baseUrl}/users/embody`, { userKey })
+    assert.equal(res.status, 200)
+    return { cookie: cookiesFrom(res), userId: (await res.json()).userId }
+  }
+
+  /** @param {string} cookie @param {string} [baseUrl] */
+  const me = async (cookie, baseUrl = ctx.baseUrl) =>
+    (await (await fetch(`${baseUrl}/users/me`, { headers: { cookie } })).json())
+      .userId
+
+  it("sets an HttpOnly signed cookie that identifies the user", async () => {
+    const res = await postJSON(`${ctx.baseUrl}/users/embody`, {
+      userKey: "alice-key",
+    })
+    const setCookie = res.headers.getSetCookie()[0]
+    assert.match(setCookie, /HttpOnly/)
+    const { userId } = await res.json()
+    assert.doesNotMatch(setCookie, new RegExp(`amrg_user=${userId};`))
+    assert.equal(await me(cookiesFrom(res)), userId)
+  })
+
+  it("ignores plain or tampered identity cookies", async () => {
+    const alice = await embody("alice-key")
+    const docId = "owned-by-alice"
+    const claim = await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/claim`,
+      {},
+      { cookie: alice.cookie },
+    )
+    assert.equal(claim.status, 200)
+
+    const forged = `amrg_user=${alice.userId}`
+    assert.equal(await me(forged), null)
+    const unclaim = await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/unclaim`,
+      {},
+      { cookie: forged },
+    )
+    assert.equal(unclaim.status, 401)
+    const lock = await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/lock`,
+      { locked: true },
+      { cookie: forged },
+    )
+    assert.equal(lock.status, 401)
+
+    // Swap the payload for another user while keeping the signature
+    const mallory = await embody("mallory-key")
+    const [, sig] = decodeURIComponent(mallory.cookie.split("=")[1]).split(".")
+    const data = Buffer.from(
+      JSON.stringify({ u: alice.userId, exp: Date.now() + 60_000 }),
+    ).toString("base64url")
+    const tampered = `amrg_user=${encodeURIComponent(`${data}.${sig}`)}`
+    assert.equal(await me(tampered), null)
+  })
+
+  it("restricts the legacy userId embody path to admins", async () => {
+    const anon = await postJSON(`${ctx.baseUrl}/users/embody`, {
+      userId: "someone",
+    })
+    assert.equal(anon.status, 403)
+
+    const login = await postJSON(`${ctx.baseUrl}/login`, {
+      password: "admin-secret",
+    })
+    const admin = await postJSON(
+      `${ctx.baseUrl}/users/embody`,
+      { userId: "someone" },
+      { cookie: cookiesFrom(login) },
+    )
+    assert.equal(admin.status, 200)
+    assert.equal(await me(cookiesFrom(admin)), "someone")
+  })
+
+  it("keeps accepting cookies signed with a rotated-out secret", async () => {
+    const old = await startSync(3048, { signingSecrets: ["old"] })
+    const rotated = await startSync(3049, {
+      signingSecrets: ["new", "old"],
+    })
+    const retired = await startSync(3050, { signingSecrets: ["new"] })
+    try {
+      const { cookie, userId } = await embody("bob-key", old.baseUrl)
+      assert.equal(await me(cookie, rotated.baseUrl), userId)
+      assert.equal(await me(cookie, retired.baseUrl), null)
+    } finally {
+      await Promise.all([old.stop(), rotated.stop(), retired.stop()])
+    }
+  })
+
+  it("expires identity cookies", async () => {
+    const short = await startSync(3051, { userTokenTtlSeconds: 0.2 })
+    try {
+      const { cookie } = await embody("carol-key", short.baseUrl)
+      await new Promise((resolve) => setTimeout(resolve, 300))
+      assert.equal(await me(cookie, short.baseUrl), null)
+    } finally {
+      await short.stop()
+    }
+  })
+})
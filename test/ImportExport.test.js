@@ -0,0 +1,137 @@
+// @ts-check
+import assert from "assert"
+import * as Automerge from "@automerge/automerge"
+import { generateAutomergeUrl } from "@automerge/automerge-repo"
+import { after, before } from "mocha"
+import { cookiesFrom, postJSON, startSync } from "./helpers.js"
+
+describe("Export and import", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3062)
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {Uint8Array} binary @param {string} [docId] */
+  const importFile = (binary, docId) => {
+    const form = new FormData()
+    form.append("file", new Blob([binary]), "doc.automerge")
+    if (docId) form.append("docId", docId)
+    return fetch(`${ctx.baseUrl}/docs/import`, { method: "POST", body: form })
+  }
+
+  it("exports the full history and a JSON snapshot", async () => {
+    const handle = ctx.sync.repo.create({ title: "first" })
+    handle.change((d) => {
+      d.title = "second"
+    })
+    const res = await fetch(`${ctx.baseUrl}/docs/${handle.url}/export`)
+    assert.equal(res.status, 200)
+    assert.match(
+      String(res.headers.get("content-disposition")),
+      new RegExp(`${handle.documentId}\\.automerge`),
+    )
+    const doc = Automerge.load(new Uint8Array(await res.arrayBuffer()))
+    assert.equal(/** @type {any} */ (doc).title, "second")
+    assert.equal(Automerge.getHistory(doc).length, 2)
+
+    const json = await fetch(
+      `${ctx.baseUrl}/docs/${handle.documentId}/export?format=json`,
+    )
+    assert.deepEqual(await json.json(), { title: "second" })
+    assert.equal(
+      (await fetch(`${ctx.baseUrl}/docs/nope/export?format=xml`)).status,
+      400,
+    )
+  })
+
+  it("imports a file as a new document or merges it into one", async () => {
+    const original = ctx.sync.repo.create({ notes: ["a"] })
+    const exported = new Uint8Array(
+      await (
+        await fetch(`${ctx.baseUrl}/docs/${original.documentId}/export`)
+      ).arrayBuffer(),
+    )
+
+    const created = await (await importFile(exported)).json()
+    assert.equal(created.merged, false)
+    assert.match(created.url, /^automerge:/)
+    assert.notEqual(created.documentId, original.documentId)
+    const copy = await ctx.sync.repo.find(created.url)
+    assert.deepEqual(copy.doc().notes, ["a"])
+
+    // Offline edits to an exported copy merge back into the original
+    /** @type {any} */
+    const copied = Automerge.load(exported)
+    const offline = Automerge.change(copied, (d) => {
+      d.notes.push("b")
+    })
+    original.change((d) => {
+      d.notes.push("c")
+    })
+    const merged = await importFile(
+      Automerge.save(offline),
+      original.documentId,
+    )
+    assert.equal(merged.status, 200)
+    assert.equal((await merged.json()).url, original.url)
+    assert.deepEqual([...original.doc().notes].sort(), ["a", "b", "c"])
+
+    assert.equal((await importFile(new Uint8Array([1, 2, 3]))).status, 400)
+  })
+
+  it("answers 404 for documents the server doesn't have", async () => {
+    const url = generateAutomergeUrl()
+    const patch = JSON.stringify([{ op: "add", path: "/a", value: 1 }])
+    for (const [method, path] of [
+      ["GET", "/export"],
+      ["GET", "/history"],
+      ["PATCH", ""],
+    ]) {
+      const res = await fetch(`${ctx.baseUrl}/docs/${url}${path}`, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        ...(method === "PATCH" ? { body: patch } : {}),
+      })
+      assert.equal(res.status, 404, `${method} /docs/:docId${path}`)
+    }
+  })
+
+  it("won't merge into a protected or locked document", async () => {
+    const offline = Automerge.save(
+      Automerge.change(Automerge.init(), (/** @type {any} */ d) => {
+        d.title = "imported"
+      }),
+    )
+    const guarded = ctx.sync.repo.create({ title: "guarded" })
+    await postJSON(`${ctx.baseUrl}/docs/${guarded.documentId}/protect`, {
+      password: "pw",
+    })
+    const intoProtected = await importFile(offline, guarded.documentId)
+    assert.equal(intoProtected.status, 403)
+    assert.equal((await intoProtected.json()).error, "protected")
+
+    const locked = ctx.sync.repo.create({ title: "locked" })
+    const cookie = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/users/embody`, { userKey: "import-key" }),
+    )
+    await postJSON(
+      `${ctx.baseUrl}/docs/${locked.documentId}/claim`,
+      {},
+      { cookie },
+    )
+    await postJSON(
+      `${ctx.baseUrl}/docs/${locked.documentId}/lock`,
+      { locked: true },
+      { cookie },
+    )
+    assert.equal((await importFile(offline, locked.documentId)).status, 423)
+    assert.deepEqual(
+      [guarded.doc().title, locked.doc().title],
+      ["guarded", "locked"],
+    )
+  })
+})
@@ -0,0 +1,179 @@
+// @ts-check
+import assert from "assert"
+import { cbor } from "@automerge/automerge-repo"
+import { after, before } from "mocha"
+import { WebSocket } from "ws"
+import { changeMessage, cookiesFrom, postJSON, startSync } from "./helpers.js"
+
+/**
+ * Open a socket, resolving to it or to the status it was refused with.
+ * @param {string} wsUrl
+ * @param {Record<string, string>} [headers]
+ * @returns {Promise<WebSocket | number>}
+ */
+const connectTo = (wsUrl, headers = {}) =>
+  new Promise((resolve) => {
+    const ws = new WebSocket(wsUrl, { headers })
+    ws.on("open", () => resolve(ws))
+    ws.on("unexpected-response", (_, res) => resolve(res.statusCode ?? 0))
+  })
+
+/** @param {WebSocket} ws */
+const closed = (ws) =>
+  new Promise((resolve) => ws.on("close", (code) => resolve(code)))
+
+/** @param {WebSocket[]} sockets */
+const closeAll = async (sockets) => {
+  await Promise.all(sockets.map((ws) => (ws.close(), closed(ws))))
+  await new Promise((resolve) => setTimeout(resolve, 50))
+}
+
+describe("Limits", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3072, {
+      limits: {
+        connectionsPerIp: 2,
+        connectionsPerUser: 1,
+        messagesPerSecond: 1,
+        messageBurst: 3,
+        maxFrameBytes: 1024,
+        uploadMaxBytes: 64,
+        uploadsPerMinute: 3,
+      },
+    })
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {Record<string, string>} [headers] */
+  const connect = (headers) => connectTo(ctx.wsUrl, headers)
+
+  it("caps connections per IP and per user", async () => {
+    const a = /** @type {WebSocket} */ (await connect())
+    const b = /** @type {WebSocket} */ (await connect())
+    assert.equal(await connect(), 429)
+    await closeAll([a, b])
+
+    const cookie = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/users/embody`, { userKey: "limits-key" }),
+    )
+    const mine = /** @type {WebSocket} */ (await connect({ cookie }))
+    assert.equal(await connect({ cookie }), 429)
+    const other = /** @type {WebSocket} */ (await connect())
+    await closeAll([mine, other])
+  })
+
+  it("closes sockets that send too fast or too large frames", async () => {
+    const chatty = /** @type {WebSocket} */ (await connect())
+    const handle = ctx.sync.repo.create({ title: "seed" })
+    chatty.send(
+      cbor.encode({
+        type: "join",
+        senderId: "limits-peer",
+        peerMetadata: {},
+        supportedProtocolVersions: ["1"],
+      }),
+    )
+    for (let i = 0; i < 4; i++) {
+      chatty.send(
+        cbor.encode({
+          type: "sync",
+          senderId: "limits-peer",
+          targetId: "server",
+          documentId: handle.documentId,
+          data: changeMessage(handle.doc(), (d) => {
+            d.title = `edit ${i}`
+          }),
+        }),
+      )
+    }
+    assert.equal(await closed(chatty), 4429)
+
+    const big = /** @type {WebSocket} */ (await connect())
+    big.send(new Uint8Array(2048))
+    assert.equal(await closed(big), 1009)
+  })
+
+  it("limits upload size and rate", async () => {
+    /** @param {number} size */
+    const importFile = (size) => {
+      const form = new FormData()
+      form.append("file", new Blob([new Uint8Array(size)]), "doc.automerge")
+      return fetch(`${ctx.baseUrl}/docs/import`, { method: "POST", body: form })
+    }
+    const tooLarge = await importFile(100)
+    assert.equal(tooLarge.status, 413)
+    assert.equal((await tooLarge.json()).error, "file_too_large")
+    assert.equal((await importFile(10)).status, 400)
+    assert.equal((await importFile(10)).status, 400)
+    const limited = await importFile(10)
+    assert.equal(limited.status, 429)
+    assert.ok(Number(limited.headers.get("retry-after")) > 0)
+
+    const text = await (await fetch(`${ctx.baseUrl}/metrics`)).text()
+    for (const limit of [
+      "connections_per_ip",
+      "connections_per_user",
+      "messages",
+      "frame_size",
+      "upload_size",
+      "uploads",
+    ]) {
+      assert.match(
+        text,
+        new RegExp(`amrg_limit_rejections_total\\{limit="${limit}"\\} 1\\n`),
+      )
+    }
+  })
+})
+
+describe("Limits with admin auth", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3075, {
+      authToken: "admin-secret",
+      limits: { connectionsPerUser: 1 },
+    })
+  })
+
+  after(() => ctx.stop())
+
+  it("counts every AUTH_TOKEN session and API key on its own", async () => {
+    const sessions = []
+    for (let i = 0; i < 3; i++) {
+      sessions.push(
+        cookiesFrom(
+          await postJSON(`${ctx.baseUrl}/login`, { password: "admin-secret" }),
+        ),
+      )
+    }
+    /** @type {WebSocket[]} */
+    const open = []
+    for (const cookie of sessions) {
+      const ws = await connectTo(ctx.wsUrl, { cookie })
+      assert.ok(ws instanceof WebSocket)
+      open.push(ws)
+    }
+    assert.equal(await connectTo(ctx.wsUrl, { cookie: sessions[0] }), 429)
+
+    // A key without an admin role, sent along with an AUTH_TOKEN session
+    const { key } = await (
+      await postJSON(
+        `${ctx.baseUrl}/admin/keys`,
+        { name: "limits", access: "write" },
+        { cookie: sessions[0] },
+      )
+    ).json()
+    const headers = { authorization: `Bearer ${key}`, cookie: sessions[0] }
+    const keyed = await connectTo(ctx.wsUrl, headers)
+    assert.ok(keyed instanceof WebSocket)
+    open.push(keyed)
+    assert.equal(await connectTo(ctx.wsUrl, headers), 429)
+    await closeAll(open)
+  })
+})
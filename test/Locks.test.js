@@ -0,0 +1,171 @@
+// @ts-check
+import assert from "assert"
+import express from "express"
+import fs from "fs"
+import http from "http"
+import os from "os"
+import path from "path"
+import { after, before } from "mocha"
+import { BrowserWebSocketClientAdapter } from "@automerge/automerge-repo-network-websocket"
+import { Repo } from "@automerge/automerge-repo"
+import { createSyncMiddleware } from "../src/server.js"
+import { WRITE_REJECTED } from "../src/protocol.js"
+import { cookiesFrom, postJSON } from "./helpers.js"
+
+describe("Document lock enforcement", () => {
+  const PORT = 3058
+  const baseUrl = `http://localhost:${PORT}`
+  /** @type {import("../src/server.js").SyncMiddleware} */
+  let sync
+  /** @type {http.Server} */
+  let httpServer
+  let dataDir = ""
+  /** @type {Record<string, string>} name -> cookie */
+  const cookies = {}
+  /** @type {Repo[]} */
+  const repos = []
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "amrg-test-"))
+    const app = express()
+    sync = createSyncMiddleware({ dataDir })
+    app.use(sync.router)
+    httpServer = http.createServer(app)
+    // Repo clients can't set headers, so the test picks an identity per
+    // connection with `?as=<name>`
+    httpServer.on("upgrade", (request, socket, head) => {
+      const as = new URL(request.url || "/", baseUrl).searchParams.get("as")
+      if (as) request.headers.cookie = cookies[as]
+      sync.handleUpgrade(request, socket, head)
+    })
+    await new Promise((resolve) => httpServer.listen(PORT, () => resolve(null)))
+    for (const name of ["owner", "guest"]) {
+      const res = await postJSON(`${baseUrl}/users/embody`, {
+        userKey: `${name}-key`,
+      })
+      cookies[name] = cookiesFrom(res)
+    }
+  })
+
+  after(async () => {
+    await Promise.all(repos.map((repo) => repo.shutdown()))
+    await sync.close()
+    httpServer.close()
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  /** @param {string} as */
+  const client = (as) => {
+    const repo = new Repo({
+      network: [
+        new BrowserWebSocketClientAdapter(`ws://localhost:${PORT}?as=${as}`),
+      ],
+    })
+    repos.push(repo)
+    return repo
+  }
+
+  /** @param {string} docId @param {boolean} locked */
+  const setLock = async (docId, locked) => {
+    const res = await postJSON(
+      `${baseUrl}/docs/${docId}/lock`,
+      { locked },
+      { cookie: cookies.owner },
+    )
+    assert.equal(res.status, 200)
+  }
+
+  /**
+   * Resolve once `check` passes on the server's copy, or fail after a while.
+   * @param {() => boolean} check
+   */
+  const eventually = async (check, ms = 2000) => {
+    const start = Date.now()
+    while (!check()) {
+      if (Date.now() - start > ms) throw new Error("timed out")
+      await new Promise((resolve) => setTimeout(resolve, 20))
+    }
+  }
+
+  it("only takes the owner's changes while locked and resumes on unlock", async () => {
+    const ownerRepo = client("owner")
+    const guestRepo = client("guest")
+    const ownerHandle = ownerRepo.create({ notes: ["first"] })
+    const docId = ownerHandle.documentId
+    const claim = await postJSON(
+      `${baseUrl}/docs/${docId}/claim`,
+      {},
+      { cookie: cookies.owner },
+    )
+    assert.equal(claim.status, 200)
+
+    const guestHandle = await guestRepo.find(ownerHandle.url)
+    assert.deepEqual(guestHandle.doc().notes, ["first"])
+    const serverHandle = await sync.repo.find(ownerHandle.url)
+
+    await setLock(docId, true)
+    const notice = new Promise((resolve) =>
+      guestHandle.on("ephemeral-message", ({ message }) => resolve(message)),
+    )
+    guestHandle.change((d) => {
+      d.notes.push("guest while locked")
+    })
+    assert.deepEqual(await notice, {
+      type: WRITE_REJECTED,
+      documentId: docId,
+      reason: "locked",
+    })
+    assert.deepEqual(serverHandle.doc().notes, ["first"])
+
+    // The owner still edits, and the guest keeps receiving updates
+    ownerHandle.change((d) => {
+      d.notes.push("owner while locked")
+    })
+    await eventually(() =>
+      guestHandle.doc().notes.includes("owner while locked"),
+    )
+    assert.ok(!serverHandle.doc().notes.includes("guest while locked"))
+
+    const status = await (
+      await fetch(`${baseUrl}/docs/${docId}/status`, {
+        headers: { cookie: cookies.guest },
+      })
+    ).json()
+    assert.deepEqual([status.locked, status.canWrite], [true, false])
+
+    await setLock(docId, false)
+    guestHandle.change((d) => {
+      d.notes.push("guest after unlock")
+    })
+    await eventually(() =>
+      ownerHandle.doc().notes.includes("guest after unlock"),
+    )
+  })
+
+  it("treats URL and bare ID spellings as the same lock", async () => {
+    const handle = sync.repo.create({ notes: [] })
+    const docId = handle.documentId
+    await postJSON(
+      `${baseUrl}/docs/${docId}/claim`,
+      {},
+      { cookie: cookies.owner },
+    )
+    /** @returns {Promise<boolean>} */
+    const flag = async () =>
+      (
+        await (
+          await postJSON(`${baseUrl}/meta/docs/flags`, { docIds: [docId] })
+        ).json()
+      ).flags[docId].locked
+    await setLock(docId, true)
+    assert.equal(await flag(), true)
+    await setLock(handle.url, false)
+    assert.equal(await flag(), false)
+    const status = await (
+      await fetch(`${baseUrl}/docs/${docId}/status`, {
+        headers: { cookie: cookies.guest },
+      })
+    ).json()
+    assert.equal(status.locked, false)
+  })
+})
@@ -0,0 +1,186 @@
+// @ts-check
+import assert from "assert"
+import * as Automerge from "@automerge/automerge"
+import { generateAutomergeUrl } from "@automerge/automerge-repo"
+import { after, before } from "mocha"
+import { cookiesFrom, postJSON, sendSync, startSync } from "./helpers.js"
+
+/**
+ * @param {string} baseUrl
+ * @param {string[]} names
+ * @returns {Promise<Record<string, { cookie: string, userId: string }>>}
+ */
+const embodyAll = async (baseUrl, names) => {
+  /** @type {Record<string, { cookie: string, userId: string }>} */
+  const users = {}
+  for (const name of names) {
+    const res = await postJSON(`${baseUrl}/users/embody`, {
+      userKey: `${name}-key`,
+    })
+    users[name] = {
+      cookie: cookiesFrom(res),
+      userId: (await res.json()).userId,
+    }
+  }
+  return users
+}
+
+/** @param {string} baseUrl @param {string} docId */
+const ownerOf = async (baseUrl, docId) =>
+  (await (await fetch(`${baseUrl}/docs/${docId}/status`)).json()).ownerId
+
+describe("Ownership transfer", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** @type {Record<string, { cookie: string, userId: string }>} */
+  let users
+  let root = ""
+
+  before(async () => {
+    ctx = await startSync(3059, { authToken: "admin-secret" })
+    users = await embodyAll(ctx.baseUrl, ["alice", "bob", "carol"])
+    root = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/login`, { password: "admin-secret" }),
+    )
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {string} path @param {string} as @param {any} [body] */
+  const post = (path, as, body = {}) =>
+    postJSON(`${ctx.baseUrl}${path}`, body, { cookie: users[as].cookie })
+
+  /** @param {string} docId */
+  const claimed = async (docId) => {
+    assert.equal((await post(`/docs/${docId}/claim`, "alice")).status, 200)
+    return docId
+  }
+
+  it("moves ownership once the recipient accepts", async () => {
+    const docId = await claimed("transfer-doc")
+    const offer = { toUserId: users.bob.userId }
+    assert.equal(
+      (await post(`/docs/${docId}/transfer`, "bob", offer)).status,
+      403,
+    )
+    assert.equal(
+      (await post(`/docs/${docId}/transfer`, "alice", offer)).status,
+      200,
+    )
+    assert.equal(await ownerOf(ctx.baseUrl, docId), users.alice.userId)
+
+    const pending = await (
+      await fetch(`${ctx.baseUrl}/users/me/transfers`, {
+        headers: { cookie: users.bob.cookie },
+      })
+    ).json()
+    assert.deepEqual(
+      pending.incoming.map((/** @type {any} */ t) => [t.docId, t.from]),
+      [[docId, users.alice.userId]],
+    )
+
+    const wrong = await post(`/docs/${docId}/transfer/accept`, "carol")
+    assert.equal(wrong.status, 404)
+    const accepted = await post(`/docs/${docId}/transfer/accept`, "bob")
+    assert.equal(accepted.status, 200)
+    assert.equal(await ownerOf(ctx.baseUrl, docId), users.bob.userId)
+    assert.equal(
+      (await post(`/docs/${docId}/transfer/accept`, "bob")).status,
+      404,
+    )
+  })
+
+  it("lets the recipient decline an offer", async () => {
+    const docId = await claimed("declined-doc")
+    await post(`/docs/${docId}/transfer`, "alice", {
+      toUserId: users.bob.userId,
+    })
+    const declined = await fetch(`${ctx.baseUrl}/docs/${docId}/transfer`, {
+      method: "DELETE",
+      headers: { cookie: users.bob.cookie },
+    })
+    assert.equal(declined.status, 200)
+    assert.equal(
+      (await post(`/docs/${docId}/transfer/accept`, "bob")).status,
+      404,
+    )
+    assert.equal(await ownerOf(ctx.baseUrl, docId), users.alice.userId)
+  })
+
+  it("lets admins reassign or clear ownership", async () => {
+    const docId = await claimed("orphaned-doc")
+    /** @param {string | null} ownerId @param {string} cookie */
+    const reassign = (ownerId, cookie) =>
+      postJSON(
+        `${ctx.baseUrl}/admin/docs/${docId}/owner`,
+        { ownerId },
+        { cookie },
+      )
+    assert.equal(
+      (await reassign(users.carol.userId, users.alice.cookie)).status,
+      401,
+    )
+    assert.equal((await reassign(users.carol.userId, root)).status, 200)
+    assert.equal(await ownerOf(ctx.baseUrl, docId), users.carol.userId)
+
+    // A pending offer from the previous owner is void
+    await post(`/docs/${docId}/transfer`, "carol", {
+      toUserId: users.bob.userId,
+    })
+    assert.equal((await reassign(null, root)).status, 200)
+    assert.equal(await ownerOf(ctx.baseUrl, docId), null)
+    assert.equal(
+      (await post(`/docs/${docId}/transfer/accept`, "bob")).status,
+      404,
+    )
+  })
+})
+
+describe("Auto-claim on creation", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** @type {Record<string, { cookie: string, userId: string }>} */
+  let users
+
+  before(async () => {
+    ctx = await startSync(3060, { autoClaim: true })
+    users = await embodyAll(ctx.baseUrl, ["alice", "bob"])
+  })
+
+  after(() => ctx.stop())
+
+  /** The opening sync message of a client that just created a document */
+  const creationMessage = () => {
+    const doc = Automerge.from({ title: "new" })
+    const [, data] = Automerge.generateSyncMessage(
+      doc,
+      Automerge.initSyncState(),
+    )
+    return /** @type {Uint8Array} */ (data)
+  }
+
+  it("makes the first signed-in user to sync a new document its owner", async () => {
+    const docId = generateAutomergeUrl().slice("automerge:".length)
+    await sendSync(ctx.wsUrl, docId, creationMessage(), {
+      cookie: users.alice.cookie,
+    })
+    assert.equal(await ownerOf(ctx.baseUrl, docId), users.alice.userId)
+
+    await sendSync(ctx.wsUrl, docId, creationMessage(), {
+      cookie: users.bob.cookie,
+    })
+    assert.equal(await ownerOf(ctx.baseUrl, docId), users.alice.userId)
+  })
+
+  it("leaves documents the server already has and anonymous syncs alone", async () => {
+    const existing = ctx.sync.repo.create({ title: "server side" })
+    await sendSync(ctx.wsUrl, existing.documentId, creationMessage(), {
+      cookie: users.bob.cookie,
+    })
+    assert.equal(await ownerOf(ctx.baseUrl, existing.documentId), null)
+
+    const docId = generateAutomergeUrl().slice("automerge:".length)
+    await sendSync(ctx.wsUrl, docId, creationMessage())
+    assert.equal(await ownerOf(ctx.baseUrl, docId), null)
+  })
+})
@@ -0,0 +1,103 @@
+// @ts-check
+import assert from "assert"
+import * as Automerge from "@automerge/automerge"
+import { after, before } from "mocha"
+import { cookiesFrom, postJSON, startSync } from "./helpers.js"
+
+describe("PATCH /docs/:docId", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3065)
+  })
+
+  after(() => ctx.stop())
+
+  /**
+   * @param {string} docId
+   * @param {any} body
+   * @param {Record<string, string>} [headers]
+   */
+  const patch = (docId, body, headers = {}) =>
+    fetch(`${ctx.baseUrl}/docs/${docId}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    })
+
+  it("applies a patch as one change and returns the new heads", async () => {
+    const handle = ctx.sync.repo.create({ title: "draft", nodes: [] })
+    const res = await patch(handle.documentId, {
+      ops: [
+        { op: "add", path: "/nodes/-", value: { id: "a" } },
+        { op: "splice", path: "/title", index: 5, insert: " 2" },
+        { op: "increment", path: "/edits" },
+      ],
+      message: "from a job",
+    })
+    assert.equal(res.status, 200)
+    const { heads } = await res.json()
+    const doc = handle.doc()
+    assert.deepEqual(heads, Automerge.getHeads(doc))
+    assert.deepEqual(JSON.parse(JSON.stringify(doc)), {
+      title: "draft 2",
+      nodes: [{ id: "a" }],
+      edits: 1,
+    })
+    const changes = Automerge.getAllChanges(doc)
+    assert.equal(changes.length, 2)
+    assert.equal(Automerge.decodeChange(changes[1]).message, "from a job")
+  })
+
+  it("takes a bare JSON Patch document", async () => {
+    const handle = ctx.sync.repo.create({ title: "draft" })
+    const res = await patch(
+      handle.documentId,
+      [{ op: "replace", path: "/title", value: "final" }],
+      { "Content-Type": "application/json-patch+json" },
+    )
+    assert.equal(res.status, 200)
+    assert.equal(handle.doc().title, "final")
+
+    const failed = await patch(handle.documentId, [
+      { op: "test", path: "/title", value: "draft" },
+      { op: "remove", path: "/title" },
+    ])
+    assert.equal(failed.status, 409)
+    assert.deepEqual(await failed.json(), {
+      ok: false,
+      error: "test_failed",
+      index: 0,
+    })
+    assert.equal(handle.doc().title, "final")
+  })
+
+  it("applies the protection and lock checks of the WebSocket gate", async () => {
+    const handle = ctx.sync.repo.create({ title: "seed" })
+    const docId = handle.documentId
+    const op = [{ op: "replace", path: "/title", value: "changed" }]
+    await postJSON(`${ctx.baseUrl}/docs/${docId}/protect`, { password: "pw" })
+    const denied = await patch(docId, op)
+    assert.equal(denied.status, 403)
+    assert.equal((await denied.json()).error, "protected")
+
+    const login = await postJSON(`${ctx.baseUrl}/docs/${docId}/login`, {
+      password: "pw",
+    })
+    const cookie = cookiesFrom(login)
+    assert.equal((await patch(docId, op, { cookie })).status, 200)
+
+    const owner = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/users/embody`, { userKey: "owner-key" }),
+    )
+    await postJSON(`${ctx.baseUrl}/docs/${docId}/claim`, {}, { cookie: owner })
+    await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/lock`,
+      { locked: true },
+      { cookie: owner },
+    )
+    assert.equal((await patch(docId, op, { cookie })).status, 423)
+    assert.equal((await patch("not-a-doc", op)).status, 404)
+  })
+})
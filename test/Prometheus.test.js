@@ -0,0 +1,101 @@
+// @ts-check
+import assert from "assert"
+import { after, before } from "mocha"
+import { WebSocket } from "ws"
+import {
+  changeMessage,
+  cookiesFrom,
+  postJSON,
+  sendSync,
+  startSync,
+} from "./helpers.js"
+
+/**
+ * The value of one sample in a Prometheus text exposition.
+ * @param {string} text
+ * @param {string} sample - name with labels, as printed
+ */
+const valueOf = (text, sample) => {
+  const line = text.split("\n").find((l) => l.startsWith(`${sample} `))
+  return line === undefined ? undefined : Number(line.slice(sample.length + 1))
+}
+
+describe("Prometheus metrics", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  let root = ""
+
+  before(async () => {
+    ctx = await startSync(3070, {
+      authToken: "admin-secret",
+      metricsToken: "scrape-secret",
+    })
+    root = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/login`, { password: "admin-secret" }),
+    )
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {Record<string, string>} [headers] */
+  const scrape = (headers = { authorization: "Bearer scrape-secret" }) =>
+    fetch(`${ctx.baseUrl}/metrics`, { headers })
+
+  it("takes admin auth or the scrape token", async () => {
+    assert.equal((await scrape({})).status, 401)
+    assert.equal((await scrape({ authorization: "Bearer wrong" })).status, 401)
+    const res = await scrape()
+    assert.equal(res.status, 200)
+    assert.match(String(res.headers.get("content-type")), /^text\/plain/)
+    assert.equal((await scrape({ cookie: root })).status, 200)
+  })
+
+  it("counts traffic, refusals and failures", async () => {
+    await postJSON(`${ctx.baseUrl}/login`, { password: "nope" })
+    const handle = ctx.sync.repo.create({ title: "seed" })
+    const docId = handle.documentId
+    await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/protect`,
+      { password: "pw" },
+      { cookie: root },
+    )
+    const edit = changeMessage(handle.doc(), (d) => {
+      d.title = "unauthorized"
+    })
+    const anonymous = new WebSocket(ctx.wsUrl)
+    await new Promise((resolve) => anonymous.on("error", resolve))
+    await sendSync(ctx.wsUrl, docId, edit, { cookie: root })
+    await fetch(`${ctx.baseUrl}/docs/${docId}`)
+
+    const text = await (await scrape()).text()
+    assert.equal(valueOf(text, 'amrg_login_failures_total{kind="admin"}'), 1)
+    assert.equal(
+      valueOf(
+        text,
+        'amrg_gate_rejections_total{transport="ws",reason="unauthorized"}',
+      ),
+      1,
+    )
+    assert.equal(
+      valueOf(
+        text,
+        'amrg_gate_rejections_total{transport="ws",reason="protected"}',
+      ),
+      1,
+    )
+    assert.equal(valueOf(text, "amrg_websocket_connections_total"), 1)
+    assert.ok(
+      Number(valueOf(text, 'amrg_websocket_bytes_total{direction="in"}')) >
+        edit.byteLength,
+    )
+    assert.equal(valueOf(text, "amrg_repo_documents_loaded"), 1)
+    assert.ok(Number(valueOf(text, 'amrg_storage_bytes{dir="data"}')) > 0)
+    assert.equal(
+      valueOf(
+        text,
+        'amrg_http_request_duration_seconds_count{method="GET",route="/docs/:docId",status="200"}',
+      ),
+      1,
+    )
+  })
+})
@@ -0,0 +1,134 @@
+// @ts-check
+import assert from "assert"
+import * as Automerge from "@automerge/automerge"
+import { after, before } from "mocha"
+import { cookiesFrom, postJSON, startSync } from "./helpers.js"
+
+describe("Revert", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** @type {Record<string, string>} name -> cookie */
+  const cookies = {}
+
+  before(async () => {
+    ctx = await startSync(3064, { authToken: "admin-secret" })
+    cookies.root = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/login`, { password: "admin-secret" }),
+    )
+    for (const name of ["owner", "stranger"]) {
+      const res = await postJSON(`${ctx.baseUrl}/users/embody`, {
+        userKey: `${name}-key`,
+      })
+      cookies[name] = cookiesFrom(res)
+    }
+  })
+
+  after(() => ctx.stop())
+
+  /** A claimed document edited after `good` */
+  const clobbered = async () => {
+    const handle = ctx.sync.repo.create({
+      title: "canvas",
+      nodes: [{ id: "a" }],
+      meta: { color: "red" },
+    })
+    await postJSON(
+      `${ctx.baseUrl}/docs/${handle.documentId}/claim`,
+      {},
+      { cookie: cookies.owner },
+    )
+    const good = Automerge.getHeads(handle.doc())
+    handle.change((d) => {
+      d.title = "oops"
+      d.nodes.splice(0, 1)
+      delete d.meta.color
+      d.meta.stray = true
+    })
+    return { handle, good }
+  }
+
+  /** @param {string} docId @param {any} body @param {string} as */
+  const revert = (docId, body, as) =>
+    postJSON(`${ctx.baseUrl}/docs/${docId}/revert`, body, {
+      cookie: cookies[as],
+    })
+
+  it("restores an earlier version as a new change and audits it", async () => {
+    const { handle, good } = await clobbered()
+    const docId = handle.documentId
+    const changesBefore = Automerge.getAllChanges(handle.doc()).length
+
+    assert.equal((await revert(docId, { heads: good }, "stranger")).status, 403)
+    const res = await revert(docId, { heads: good, message: "undo" }, "owner")
+    assert.equal(res.status, 200)
+    const { heads } = await res.json()
+
+    assert.deepEqual(handle.doc(), {
+      title: "canvas",
+      nodes: [{ id: "a" }],
+      meta: { color: "red" },
+    })
+    assert.deepEqual(heads, Automerge.getHeads(handle.doc()))
+    const changes = Automerge.getAllChanges(handle.doc())
+    assert.equal(changes.length, changesBefore + 1)
+    assert.equal(
+      Automerge.decodeChange(changes[changes.length - 1]).message,
+      "undo",
+    )
+
+    const { entries } = await (
+      await fetch(`${ctx.baseUrl}/admin/audit?docId=${docId}`, {
+        headers: { cookie: cookies.root },
+      })
+    ).json()
+    assert.equal(entries.length, 1)
+    assert.equal(entries[0].action, "revert")
+    assert.deepEqual(entries[0].to, good)
+    assert.equal(
+      (await revert(docId, { heads: ["f".repeat(64)] }, "owner")).status,
+      400,
+    )
+  })
+
+  it("lets operators past locks and protection, and the owner past protection", async () => {
+    const { handle, good } = await clobbered()
+    const docId = handle.documentId
+    await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/protect`,
+      { password: "pw" },
+      { cookie: cookies.root },
+    )
+    const byOwner = await revert(docId, { heads: good }, "owner")
+    assert.equal(byOwner.status, 200)
+    assert.equal(handle.doc().title, "canvas")
+
+    const locked = await clobbered()
+    await postJSON(
+      `${ctx.baseUrl}/docs/${locked.handle.documentId}/protect`,
+      { password: "pw" },
+      { cookie: cookies.root },
+    )
+    await postJSON(
+      `${ctx.baseUrl}/docs/${locked.handle.documentId}/lock`,
+      { locked: true },
+      { cookie: cookies.owner },
+    )
+    assert.equal(
+      (
+        await revert(
+          locked.handle.documentId,
+          { heads: locked.good },
+          "stranger",
+        )
+      ).status,
+      403,
+    )
+    const byOperator = await revert(
+      locked.handle.documentId,
+      { heads: locked.good },
+      "root",
+    )
+    assert.equal(byOperator.status, 200)
+    assert.equal(locked.handle.doc().title, "canvas")
+  })
+})
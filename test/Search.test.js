@@ -0,0 +1,110 @@
+// @ts-check
+import assert from "assert"
+import { after, before } from "mocha"
+import {
+  changeMessage,
+  cookiesFrom,
+  postJSON,
+  sendSync,
+  startSync,
+} from "./helpers.js"
+
+/** Documents are reindexed shortly after they change */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 700))
+
+describe("Search", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3069)
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {any} content @param {Record<string, string>} [headers] */
+  const create = async (content, headers) =>
+    (await (await postJSON(`${ctx.baseUrl}/docs`, { content }, headers)).json())
+      .documentId
+
+  /** @param {string} q @param {Record<string, string>} [headers] */
+  const search = async (q, headers = {}) =>
+    (
+      await (
+        await fetch(`${ctx.baseUrl}/search?q=${encodeURIComponent(q)}`, {
+          headers,
+        })
+      ).json()
+    ).results
+
+  it("ranks documents by their content and shows where they match", async () => {
+    assert.equal((await fetch(`${ctx.baseUrl}/search`)).status, 400)
+    const few = await create({
+      title: "Field notes",
+      nodes: [{ text: "A colony of penguins crossed the ice at dawn." }],
+    })
+    const many = await create({
+      title: "Penguins",
+      nodes: [{ text: "Penguins, penguins and more penguins" }],
+    })
+    await create({ title: "Walruses" })
+    await settle()
+
+    const results = await search("penguin")
+    assert.deepEqual(
+      results.map((/** @type {any} */ r) => r.docId),
+      [many, few],
+    )
+    assert.match(results[1].snippet, /colony of penguins crossed/)
+    assert.deepEqual(
+      (await search("penguins dawn")).map((/** @type {any} */ r) => r.docId),
+      [few],
+    )
+  })
+
+  it("follows changes made by clients", async () => {
+    const handle = ctx.sync.repo.create({ text: "draft about herons" })
+    await sendSync(
+      ctx.wsUrl,
+      handle.documentId,
+      changeMessage(handle.doc(), (d) => {
+        d.text = "final copy about storks"
+      }),
+    )
+    await settle()
+    assert.deepEqual(await search("herons"), [])
+    assert.deepEqual(
+      (await search("storks")).map((/** @type {any} */ r) => r.docId),
+      [handle.documentId],
+    )
+  })
+
+  it("matches labels and leaves out documents the caller can't list", async () => {
+    const owner = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/users/embody`, { userKey: "owner-key" }),
+    )
+    const labelled = await create({ body: "nothing to see" })
+    await postJSON(`${ctx.baseUrl}/docs/${labelled}/label`, {
+      label: "Albatross sightings",
+    })
+    const hidden = await create({ body: "albatross nests" })
+    await postJSON(`${ctx.baseUrl}/docs/${hidden}/claim`, {}, { cookie: owner })
+    await postJSON(
+      `${ctx.baseUrl}/docs/${hidden}/visibility`,
+      { visibility: "link-only" },
+      { cookie: owner },
+    )
+    await settle()
+
+    const anonymous = await search("albatross")
+    assert.deepEqual(
+      anonymous.map((/** @type {any} */ r) => [r.docId, r.label]),
+      [[labelled, "Albatross sightings"]],
+    )
+    const mine = await search("albatross", { cookie: owner })
+    assert.deepEqual(
+      mine.map((/** @type {any} */ r) => r.docId).sort(),
+      [labelled, hidden].sort(),
+    )
+  })
+})
@@ -1,11 +1,24 @@
 // @ts-check
 import assert from "assert"
+import express from "express"
+import fs from "fs"
+import http from "http"
+import os from "os"
+import path from "path"
 import { before, after } from "mocha"
-import { WebSocket } from "ws"
+import { WebSocket, WebSocketServer } from "ws"
 
 import { BrowserWebSocketClientAdapter } from "@automerge/automerge-repo-network-websocket"
 import { Repo } from "@automerge/automerge-repo"
-import { Server } from "../src/server.js"
+import { Server, createSyncMiddleware, resolveOptions } from "../src/server.js"
+import { WRITE_REJECTED } from "../src/protocol.js"
+import {
+  changeMessage,
+  cookiesFrom,
+  postJSON,
+  sendSync,
+  startSync,
+} from "./helpers.js"
 
 describe("Sync Server Tests", () => {
   let server
@@ -79,3 +92,255 @@ describe("Sync Server Tests", () => {
     assert.equal(doc.test, "hello world")
   })
 })
+
+describe("Server options", () => {
+  /** @type {Server[]} */
+  const servers = []
+  /** @type {string[]} */
+  const dirs = []
+
+  /** @param {import("../src/server.js").ServerOptions} options */
+  const start = async (options) => {
+    const server = new Server(options)
+    servers.push(server)
+    await server.ready()
+    return server
+  }
+
+  const tmpDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "amrg-test-"))
+    dirs.push(dir)
+    return dir
+  }
+
+  after(async () => {
+    await Promise.all(servers.map((s) => s.close()))
+    dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true }))
+  })
+
+  it("runs several differently configured instances in one process", async () => {
+    const dirA = tmpDir()
+    const dirB = tmpDir()
+    await start({ port: 3041, dataDir: dirA, authToken: "secret-a" })
+    await start({ port: 3042, dataDir: dirB })
+
+    const a = await fetch("http://localhost:3041/metrics.json")
+    assert.equal(a.status, 401)
+
+    const b = await fetch("http://localhost:3042/metrics.json")
+    assert.equal(b.status, 200)
+    assert.equal((await b.json()).dataDir, dirB)
+  })
+
+  it("uses the configured CORS origins instead of the defaults", async () => {
+    await start({
+      port: 3043,
+      dataDir: tmpDir(),
+      corsOrigins: ["https://example.test"],
+    })
+
+    const allowed = await fetch("http://localhost:3043/", {
+      headers: { origin: "https://example.test" },
+    })
+    assert.equal(
+      allowed.headers.get("access-control-allow-origin"),
+      "https://example.test",
+    )
+
+    const denied = await fetch("http://localhost:3043/", {
+      headers: { origin: "http://localhost:5173" },
+    })
+    assert.equal(denied.headers.get("access-control-allow-origin"), null)
+  })
+
+  it("falls back to environment variables for omitted options", () => {
+    const prev = process.env.MEDIA_LODS
+    process.env.MEDIA_LODS = "640, 128"
+    try {
+      const opts = resolveOptions({ dataDir: "somewhere" })
+      assert.deepEqual(opts.media.lods, [128, 640])
+      assert.equal(opts.media.dir, path.join("somewhere", "media"))
+    } finally {
+      if (prev === undefined) delete process.env.MEDIA_LODS
+      else process.env.MEDIA_LODS = prev
+    }
+  })
+})
+
+describe("Mountable sync middleware", () => {
+  const PORT = 3044
+  /** @type {import("http").Server} */
+  let httpServer
+  /** @type {import("../src/server.js").SyncMiddleware} */
+  let sync
+  /** @type {WebSocketServer} */
+  let otherWss
+  let dataDir
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "amrg-test-"))
+    const app = express()
+    app.get("/own-route", (req, res) => res.send("mine"))
+    sync = createSyncMiddleware({ dataDir, path: "/sync" })
+    app.use("/sync", sync.router)
+    httpServer = http.createServer(app)
+    sync.attach(httpServer)
+
+    // The host app keeps its own WebSocket endpoint on the same server
+    otherWss = new WebSocketServer({ noServer: true })
+    otherWss.on("connection", (ws) => ws.send("other"))
+    httpServer.on("upgrade", (request, socket, head) => {
+      if (request.url !== "/other") return
+      otherWss.handleUpgrade(request, socket, head, (ws) =>
+        otherWss.emit("connection", ws, request),
+      )
+    })
+
+    await new Promise((resolve) => httpServer.listen(PORT, () => resolve(null)))
+  })
+
+  after(async () => {
+    await sync.close()
+    otherWss.close()
+    httpServer.close()
+    fs.rmSync(dataDir, { recursive: true, force: true })
+  })
+
+  it("serves the sync routes under the mount prefix next to the host's routes", async () => {
+    const own = await fetch(`http://localhost:${PORT}/own-route`)
+    assert.equal(await own.text(), "mine")
+
+    const metrics = await fetch(`http://localhost:${PORT}/sync/metrics.json`)
+    assert.equal(metrics.status, 200)
+    assert.equal((await metrics.json()).port, PORT)
+
+    const dashboard = await fetch(`http://localhost:${PORT}/sync/dashboard`, {
+      redirect: "manual",
+    })
+    assert.equal(dashboard.headers.get("location"), "/sync/dashboard/")
+  })
+
+  it("syncs documents over the prefixed WebSocket endpoint", async () => {
+    const repo = new Repo({
+      network: [
+        new BrowserWebSocketClientAdapter(`ws://localhost:${PORT}/sync`),
+      ],
+    })
+    const handle = repo.create()
+    handle.change((doc) => {
+      doc.test = "mounted"
+    })
+
+    const repo2 = new Repo({
+      network: [
+        new BrowserWebSocketClientAdapter(`ws://localhost:${PORT}/sync`),
+      ],
+    })
+    const handle2 = await repo2.find(handle.url)
+    assert.equal(handle2.doc().test, "mounted")
+  })
+
+  it("leaves upgrades for other paths to other listeners", async () => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/other`)
+    const msg = await new Promise((resolve, reject) => {
+      ws.on("message", (data) => resolve(String(data)))
+      ws.on("error", reject)
+    })
+    assert.equal(msg, "other")
+    ws.close()
+  })
+})
+
+describe("Protected document gate", () => {
+  const PORT = 3045
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** @type {import("../src/server.js").SyncMiddleware} */
+  let sync
+  let wsUrl
+
+  before(async () => {
+    ctx = await startSync(PORT)
+    sync = ctx.sync
+    wsUrl = ctx.wsUrl
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {string} url */
+  const protect = async (url) => {
+    const res = await postJSON(
+      `${ctx.baseUrl}/docs/${encodeURIComponent(url)}/protect`,
+      { password: "pw" },
+    )
+    assert.equal(res.status, 200)
+  }
+
+  /** @param {string} url @returns {Promise<string>} cookie header value */
+  const login = async (url) => {
+    const res = await postJSON(
+      `${ctx.baseUrl}/docs/${encodeURIComponent(url)}/login`,
+      { password: "pw" },
+    )
+    assert.equal(res.status, 200)
+    return cookiesFrom(res)
+  }
+
+  it("applies changes to protected documents from sockets with a doc cookie", async () => {
+    const handle = sync.repo.create({ title: "seed" })
+    await protect(handle.url)
+    const cookie = await login(handle.url)
+
+    const msg = changeMessage(handle.doc(), (d) => {
+      d.title = "edited"
+    })
+    await sendSync(wsUrl, handle.documentId, msg, { cookie })
+    assert.equal(handle.doc().title, "edited")
+  })
+
+  it("drops changes to protected documents from sockets without a doc cookie", async () => {
+    const handle = sync.repo.create({ title: "seed" })
+    await protect(handle.url)
+
+    const msg = changeMessage(handle.doc(), (d) => {
+      d.title = "vandalised"
+    })
+    await sendSync(wsUrl, handle.documentId, msg)
+    assert.equal(handle.doc().title, "seed")
+  })
+
+  it("lets viewers read a protected document and tells them their edits were rejected", async () => {
+    const handle = sync.repo.create({ title: "seed" })
+    await protect(handle.url)
+
+    const viewer = new Repo({
+      network: [new BrowserWebSocketClientAdapter(wsUrl)],
+    })
+    const viewerHandle = await viewer.find(handle.url)
+    assert.equal(viewerHandle.doc().title, "seed")
+
+    const notice = new Promise((resolve) =>
+      viewerHandle.on("ephemeral-message", ({ message }) => resolve(message)),
+    )
+    viewerHandle.change((d) => {
+      d.title = "vandalised"
+    })
+    assert.deepEqual(await notice, {
+      type: WRITE_REJECTED,
+      documentId: handle.documentId,
+      reason: "protected",
+    })
+    assert.equal(handle.doc().title, "seed")
+
+    // Other documents on the same connection keep syncing
+    const other = viewer.create()
+    other.change((d) => {
+      d.test = "still syncing"
+    })
+    const reader = new Repo({
+      network: [new BrowserWebSocketClientAdapter(wsUrl)],
+    })
+    const otherOnReader = await reader.find(other.url)
+    assert.equal(otherOnReader.doc().test, "still syncing")
+  })
+})
@@ -0,0 +1,144 @@
+// @ts-check
+import assert from "assert"
+import { after, before } from "mocha"
+import {
+  changeMessage,
+  cookiesFrom,
+  postJSON,
+  sendSync,
+  startSync,
+} from "./helpers.js"
+
+describe("Share links", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3056)
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {string} docId @param {Record<string, any>} body */
+  const mint = async (docId, body) => {
+    const res = await postJSON(`${ctx.baseUrl}/docs/${docId}/shares`, body)
+    assert.equal(res.status, 200)
+    return res.json()
+  }
+
+  /** @param {string} token */
+  const redeem = (token) => postJSON(`${ctx.baseUrl}/share/${token}`, {})
+
+  /** @param {string} docId @param {string} cookie */
+  const status = async (docId, cookie) =>
+    (
+      await fetch(`${ctx.baseUrl}/docs/${docId}/status`, {
+        headers: { cookie },
+      })
+    ).json()
+
+  it("grants write access to a protected document up to the use count", async () => {
+    const handle = ctx.sync.repo.create({ title: "seed" })
+    const docId = handle.documentId
+    await postJSON(`${ctx.baseUrl}/docs/${docId}/protect`, { password: "pw" })
+    const link = await mint(docId, { access: "write", maxUses: 1 })
+    assert.equal(link.path, `/share/${link.token}`)
+
+    const info = await (
+      await fetch(`${ctx.baseUrl}/share/${link.token}`)
+    ).json()
+    assert.equal(info.remainingUses, 1)
+
+    const res = await redeem(link.token)
+    assert.equal(res.status, 200)
+    const cookie = cookiesFrom(res)
+    assert.match(cookie, new RegExp(`^amrg_doc_${docId}=`))
+    assert.equal((await status(docId, cookie)).canWrite, true)
+
+    await sendSync(
+      ctx.wsUrl,
+      docId,
+      changeMessage(handle.doc(), (d) => {
+        d.title = "shared edit"
+      }),
+      { cookie },
+    )
+    assert.equal(handle.doc().title, "shared edit")
+
+    assert.equal((await redeem(link.token)).status, 410)
+  })
+
+  it("grants read-only access to a private document", async () => {
+    const handle = ctx.sync.repo.create({ title: "secret" })
+    const docId = handle.documentId
+    await postJSON(`${ctx.baseUrl}/docs/${docId}/visibility`, {
+      visibility: "private",
+    })
+    assert.equal((await status(docId, "")).canRead, false)
+
+    const link = await mint(docId, { access: "read", expiresInSeconds: 60 })
+    const cookie = cookiesFrom(await redeem(link.token))
+    const s = await status(docId, cookie)
+    assert.equal(s.canRead, true)
+    assert.equal(s.canWrite, false)
+    const fetched = await fetch(`${ctx.baseUrl}/docs/${docId}`, {
+      headers: { cookie },
+    })
+    assert.equal(fetched.status, 200)
+  })
+
+  it("lists and revokes links, invalidating cookies they issued", async () => {
+    const handle = ctx.sync.repo.create({ title: "secret" })
+    const docId = handle.documentId
+    await postJSON(`${ctx.baseUrl}/docs/${docId}/visibility`, {
+      visibility: "private",
+    })
+    const link = await mint(docId, { access: "read" })
+    const cookie = cookiesFrom(await redeem(link.token))
+
+    const { links } = await (
+      await fetch(`${ctx.baseUrl}/docs/${docId}/shares`)
+    ).json()
+    assert.deepEqual(
+      links.map((/** @type {any} */ l) => [l.id, l.uses]),
+      [[link.id, 1]],
+    )
+
+    const revoked = await fetch(
+      `${ctx.baseUrl}/docs/${docId}/shares/${link.id}`,
+      { method: "DELETE" },
+    )
+    assert.equal(revoked.status, 200)
+    assert.equal((await status(docId, cookie)).canRead, false)
+    assert.equal((await redeem(link.token)).status, 404)
+  })
+
+  it("doesn't count a redeem that leaves write access as it is", async () => {
+    const docId = ctx.sync.repo.create().documentId
+    const write = await mint(docId, { access: "write" })
+    const cookie = cookiesFrom(await redeem(write.token))
+    const read = await mint(docId, { access: "read", maxUses: 1 })
+    const kept = await postJSON(
+      `${ctx.baseUrl}/share/${read.token}`,
+      {},
+      { cookie },
+    )
+    assert.equal((await kept.json()).access, "write")
+    assert.equal(cookiesFrom(kept), "")
+    assert.equal((await redeem(read.token)).status, 200)
+  })
+
+  it("rejects forged and expired links", async () => {
+    const docId = ctx.sync.repo.create().documentId
+    const link = await mint(docId, { access: "write", expiresInSeconds: 0.05 })
+    const [data, sig] = link.token.split(".")
+    const payload = JSON.parse(Buffer.from(data, "base64url").toString())
+    const forged = Buffer.from(
+      JSON.stringify({ ...payload, d: "someone-elses-doc" }),
+    ).toString("base64url")
+    assert.equal((await redeem(`${forged}.${sig}`)).status, 404)
+
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    assert.equal((await redeem(link.token)).status, 404)
+  })
+})
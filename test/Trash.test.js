@@ -0,0 +1,135 @@
+// @ts-check
+import assert from "assert"
+import fs from "fs"
+import path from "path"
+import { generateAutomergeUrl } from "@automerge/automerge-repo"
+import { after, before } from "mocha"
+import {
+  changeMessage,
+  cookiesFrom,
+  postJSON,
+  sendSync,
+  startSync,
+} from "./helpers.js"
+
+describe("Trash", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** @type {Record<string, string>} name -> cookie */
+  const cookies = {}
+
+  before(async () => {
+    ctx = await startSync(3061, { authToken: "admin-secret" })
+    cookies.root = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/login`, { password: "admin-secret" }),
+    )
+    for (const name of ["owner", "stranger"]) {
+      const res = await postJSON(`${ctx.baseUrl}/users/embody`, {
+        userKey: `${name}-key`,
+      })
+      cookies[name] = cookiesFrom(res)
+    }
+  })
+
+  after(() => ctx.stop())
+
+  /** A claimed document the server has written to disk */
+  const ownedDoc = async () => {
+    const handle = ctx.sync.repo.create({ title: "seed" })
+    await ctx.sync.repo.flush([handle.documentId])
+    await postJSON(
+      `${ctx.baseUrl}/docs/${handle.documentId}/claim`,
+      {},
+      { cookie: cookies.owner },
+    )
+    return handle
+  }
+
+  /** @param {string} path @param {string} as */
+  const del = (path, as) =>
+    fetch(`${ctx.baseUrl}${path}`, {
+      method: "DELETE",
+      headers: { cookie: cookies[as] },
+    })
+
+  it("hides a deleted document until it is restored", async () => {
+    const handle = await ownedDoc()
+    const docId = handle.documentId
+    assert.equal((await del(`/docs/${docId}`, "stranger")).status, 403)
+    const deleted = await del(`/docs/${docId}`, "owner")
+    assert.equal(deleted.status, 200)
+    assert.ok((await deleted.json()).purgeAt > Date.now())
+    assert.equal((await del(`/docs/${docId}`, "owner")).status, 409)
+
+    assert.equal((await fetch(`${ctx.baseUrl}/docs/${docId}`)).status, 404)
+    const status = await (
+      await fetch(`${ctx.baseUrl}/docs/${docId}/status`)
+    ).json()
+    assert.deepEqual([status.deleted, status.canRead], [true, false])
+    const edit = changeMessage(handle.doc(), (d) => {
+      d.title = "while deleted"
+    })
+    await sendSync(ctx.wsUrl, docId, edit, { cookie: cookies.root })
+    assert.equal(handle.doc().title, "seed")
+
+    const restored = await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/restore`,
+      {},
+      { cookie: cookies.owner },
+    )
+    assert.equal(restored.status, 200)
+    assert.equal((await fetch(`${ctx.baseUrl}/docs/${docId}`)).status, 200)
+  })
+
+  it("purges storage, metadata and the in-memory handle", async () => {
+    const { documentId: docId } = await ownedDoc()
+    const root = { cookie: cookies.root }
+    await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/label`,
+      { label: "gone" },
+      root,
+    )
+    await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/protect`,
+      { password: "pw" },
+      root,
+    )
+    const shard = path.join(ctx.dataDir, docId.slice(0, 2))
+    assert.ok(fs.existsSync(shard))
+
+    await del(`/docs/${docId}`, "owner")
+    const purged = await postJSON(
+      `${ctx.baseUrl}/docs/${docId}/purge`,
+      {},
+      { cookie: cookies.owner },
+    )
+    assert.equal(purged.status, 200)
+    assert.equal(ctx.sync.repo.handles[docId], undefined)
+    assert.ok(!fs.existsSync(shard))
+
+    const status = await (
+      await fetch(`${ctx.baseUrl}/docs/${docId}/status`)
+    ).json()
+    assert.deepEqual(
+      [status.deleted, status.protected, status.ownerId],
+      [false, false, null],
+    )
+    const metrics = await (
+      await fetch(`${ctx.baseUrl}/metrics.json`, { headers: root })
+    ).json()
+    assert.ok(!metrics.documents.some((/** @type {any} */ d) => d.id === docId))
+    const labels = JSON.parse(
+      fs.readFileSync(path.join(ctx.dataDir, ".labels.json"), "utf8"),
+    )
+    assert.equal(labels[docId], undefined)
+  })
+
+  it("doesn't delete a document that never existed", async () => {
+    const url = generateAutomergeUrl()
+    // Looking it up leaves a placeholder handle behind (the lookup itself
+    // waits for a peer to supply the document and never settles)
+    ctx.sync.repo.find(url).catch(() => {})
+    assert.ok(ctx.sync.repo.handles[/** @type {any} */ (url.slice(10))])
+    assert.equal((await del(`/docs/${url}`, "root")).status, 404)
+  })
+})
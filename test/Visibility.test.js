@@ -0,0 +1,134 @@
+// @ts-check
+import assert from "assert"
+import { after, before } from "mocha"
+import { Repo } from "@automerge/automerge-repo"
+import { BrowserWebSocketClientAdapter } from "@automerge/automerge-repo-network-websocket"
+import fs from "fs"
+import path from "path"
+import {
+  changeMessage,
+  cookiesFrom,
+  postJSON,
+  sendSync,
+  startSync,
+} from "./helpers.js"
+
+describe("Document visibility", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3046)
+  })
+
+  after(() => ctx.stop())
+
+  /** @param {string} docId @param {string} visibility @param {Record<string, string>} [headers] */
+  const setVisibility = (docId, visibility, headers) =>
+    postJSON(`${ctx.baseUrl}/docs/${docId}/visibility`, { visibility }, headers)
+
+  /** @param {string} docId @param {Record<string, string>} [headers] */
+  const fetchDoc = (docId, headers = {}) =>
+    fetch(`${ctx.baseUrl}/docs/${docId}`, { headers })
+
+  it("withholds private documents from the HTTP fetch route", async () => {
+    const handle = ctx.sync.repo.create({ secret: 42 })
+    assert.equal((await fetchDoc(handle.documentId)).status, 200)
+
+    const set = await setVisibility(handle.documentId, "private")
+    assert.equal(set.status, 200)
+    assert.equal((await fetchDoc(handle.documentId)).status, 404)
+    assert.equal((await fetchDoc(handle.url)).status, 404)
+  })
+
+  it("serves private documents to doc token holders and the owner", async () => {
+    const handle = ctx.sync.repo.create({ secret: 42 })
+    const id = handle.documentId
+    await setVisibility(id, "private")
+    await postJSON(`${ctx.baseUrl}/docs/${id}/protect`, { password: "pw" })
+
+    const login = await postJSON(`${ctx.baseUrl}/docs/${id}/login`, {
+      password: "pw",
+    })
+    const withToken = await fetchDoc(id, { cookie: cookiesFrom(login) })
+    assert.deepEqual(await withToken.json(), { secret: 42 })
+
+    const embody = await postJSON(`${ctx.baseUrl}/users/embody`, {
+      userKey: "owner-key",
+    })
+    const owner = cookiesFrom(embody)
+    await postJSON(`${ctx.baseUrl}/docs/${id}/claim`, {}, { cookie: owner })
+    assert.equal((await fetchDoc(id, { cookie: owner })).status, 200)
+  })
+
+  it("answers sync requests for private documents as unavailable", async () => {
+    const handle = ctx.sync.repo.create({ secret: 42 })
+    await setVisibility(handle.documentId, "private")
+
+    const client = new Repo({
+      network: [new BrowserWebSocketClientAdapter(ctx.wsUrl)],
+    })
+    await assert.rejects(client.find(handle.url), /unavailable/)
+
+    // Link-only documents sync as before
+    const open = ctx.sync.repo.create({ shared: true })
+    await setVisibility(open.documentId, "link-only")
+    const openOnClient = await client.find(open.url)
+    assert.equal(openOnClient.doc().shared, true)
+  })
+
+  it("reports the mode from status and flags", async () => {
+    const handle = ctx.sync.repo.create({})
+    const id = handle.documentId
+    await setVisibility(id, "link-only")
+
+    const status = await (
+      await fetch(`${ctx.baseUrl}/docs/${id}/status`)
+    ).json()
+    assert.equal(status.visibility, "link-only")
+    assert.equal(status.canRead, true)
+    assert.equal(status.protected, false)
+
+    const flags = await (
+      await postJSON(`${ctx.baseUrl}/meta/docs/flags`, { docIds: [id] })
+    ).json()
+    assert.equal(flags.flags[id].visibility, "link-only")
+  })
+
+  it("rejects unknown modes", async () => {
+    const res = await setVisibility("anything", "secret")
+    assert.equal(res.status, 400)
+  })
+
+  it("gates frames without rereading the metadata files", async () => {
+    const handle = ctx.sync.repo.create({ title: "kept" })
+    const id = handle.documentId
+    await setVisibility(id, "link-only")
+    await postJSON(`${ctx.baseUrl}/docs/${id}/protect`, { password: "pw" })
+    const edit = () =>
+      sendSync(
+        ctx.wsUrl,
+        id,
+        changeMessage(handle.doc(), (d) => {
+          d.title = "changed"
+        }),
+      )
+    await edit()
+
+    const readFileSync = fs.readFileSync
+    /** @type {string[]} */
+    const reads = []
+    // @ts-ignore
+    fs.readFileSync = (file, ...rest) => {
+      if (path.dirname(String(file)) === ctx.dataDir) reads.push(String(file))
+      return readFileSync(file, ...rest)
+    }
+    try {
+      for (let i = 0; i < 3; i++) await edit()
+    } finally {
+      fs.readFileSync = readFileSync
+    }
+    assert.deepEqual(reads, [])
+    assert.equal(handle.doc().title, "kept")
+  })
+})
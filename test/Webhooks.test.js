@@ -0,0 +1,171 @@
+// @ts-check
+import assert from "assert"
+import crypto from "crypto"
+import fs from "fs"
+import http from "http"
+import path from "path"
+import { after, before } from "mocha"
+import {
+  changeMessage,
+  cookiesFrom,
+  postJSON,
+  sendSync,
+  startSync,
+} from "./helpers.js"
+
+/**
+ * Resolve once `check` passes, or fail after a while.
+ * @param {() => boolean} check
+ */
+const eventually = async (check, ms = 3000) => {
+  const start = Date.now()
+  while (!check()) {
+    if (Date.now() - start > ms) throw new Error("timed out")
+    await new Promise((resolve) => setTimeout(resolve, 20))
+  }
+}
+
+describe("Webhooks", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+  /** @type {http.Server} */
+  let stub
+  let stubUrl = ""
+  /** @type {{ headers: http.IncomingHttpHeaders, body: string }[]} */
+  const received = []
+  /** Status codes the stub answers with, in order; 200 once they run out */
+  const statuses = /** @type {number[]} */ ([])
+
+  before(async () => {
+    stub = http.createServer((req, res) => {
+      let body = ""
+      req.on("data", (chunk) => (body += chunk))
+      req.on("end", () => {
+        received.push({ headers: req.headers, body })
+        res.statusCode = statuses.shift() ?? 200
+        res.end()
+      })
+    })
+    await new Promise((resolve) => stub.listen(0, () => resolve(null)))
+    const address = /** @type {import("net").AddressInfo} */ (stub.address())
+    stubUrl = `http://localhost:${address.port}/hook`
+    ctx = await startSync(3068, {
+      webhookDebounceMs: 1000,
+      webhookRetryBaseMs: 100,
+    })
+  })
+
+  after(async () => {
+    await ctx.stop()
+    stub.close()
+  })
+
+  /** @param {any} body */
+  const register = (body) => postJSON(`${ctx.baseUrl}/admin/webhooks`, body)
+
+  /** @param {string} event */
+  const deliveriesOf = (event) =>
+    received
+      .map((r) => ({ ...r, payload: JSON.parse(r.body) }))
+      .filter((r) => r.payload.event === event)
+
+  it("validates registrations", async () => {
+    assert.equal(
+      (await register({ url: "ftp://example.com", events: ["doc.changed"] }))
+        .status,
+      400,
+    )
+    assert.equal(
+      (await register({ url: stubUrl, events: ["doc.opened"] })).status,
+      400,
+    )
+    assert.equal((await register({ url: stubUrl, events: [] })).status, 400)
+  })
+
+  it("sends one signed delivery for a burst of changes", async () => {
+    const created = await register({
+      url: stubUrl,
+      events: ["doc.changed", "doc.claimed"],
+    })
+    assert.equal(created.status, 200)
+    const { id, secret } = await created.json()
+    const listed = await (await fetch(`${ctx.baseUrl}/admin/webhooks`)).json()
+    assert.deepEqual(
+      listed.webhooks.map((/** @type {any} */ w) => [w.id, w.secret]),
+      [[id, undefined]],
+    )
+
+    const handle = ctx.sync.repo.create({ count: 0 })
+    const docId = handle.documentId
+    for (const count of [1, 2]) {
+      await sendSync(
+        ctx.wsUrl,
+        docId,
+        changeMessage(handle.doc(), (d) => {
+          d.count = count
+        }),
+      )
+    }
+    const user = cookiesFrom(
+      await postJSON(`${ctx.baseUrl}/users/embody`, { userKey: "alice-key" }),
+    )
+    await postJSON(`${ctx.baseUrl}/docs/${docId}/claim`, {}, { cookie: user })
+
+    await eventually(() => deliveriesOf("doc.claimed").length > 0)
+    await new Promise((resolve) => setTimeout(resolve, 300))
+    const changed = deliveriesOf("doc.changed")
+    assert.equal(changed.length, 1)
+    const [{ headers, body, payload }] = changed
+    assert.equal(payload.docId, docId)
+    assert.equal(payload.webhookId, id)
+    assert.equal(headers["x-amrg-event"], "doc.changed")
+    assert.equal(
+      headers["x-amrg-signature"],
+      `sha256=${crypto
+        .createHmac("sha256", secret)
+        .update(body)
+        .digest("hex")}`,
+    )
+    assert.equal(handle.doc().count, 2)
+    assert.ok(payload.data.heads.length)
+    assert.equal(deliveriesOf("doc.claimed")[0].payload.docId, docId)
+
+    await fetch(`${ctx.baseUrl}/admin/webhooks/${id}`, { method: "DELETE" })
+  })
+
+  it("retries failed deliveries from the queue and logs every attempt", async () => {
+    const { id } = await (
+      await register({ url: stubUrl, events: ["doc.created"] })
+    ).json()
+    statuses.push(500)
+    const res = await postJSON(`${ctx.baseUrl}/docs`, { content: {} })
+    const { documentId } = await res.json()
+
+    const log = async () =>
+      (
+        await (
+          await fetch(
+            `${ctx.baseUrl}/admin/webhooks/deliveries?webhookId=${id}`,
+          )
+        ).json()
+      ).deliveries
+    await eventually(() => deliveriesOf("doc.created").length === 2)
+    await eventually(() =>
+      fs
+        .readFileSync(path.join(ctx.dataDir, ".webhook-queue.json"), "utf8")
+        .includes("[]"),
+    )
+    const attempts = await log()
+    assert.deepEqual(
+      attempts.map((/** @type {any} */ a) => [a.attempt, a.status, a.final]),
+      [
+        [2, 200, true],
+        [1, 500, false],
+      ],
+    )
+    assert.equal(attempts[0].docId, documentId)
+    // A retry resends the same delivery
+    const [first, second] = deliveriesOf("doc.created")
+    assert.equal(first.body, second.body)
+  })
+})
@@ -0,0 +1,118 @@
+// @ts-check
+import * as Automerge from "@automerge/automerge"
+import { cbor } from "@automerge/automerge-repo"
+import express from "express"
+import fs from "fs"
+import http from "http"
+import os from "os"
+import path from "path"
+import { WebSocket } from "ws"
+import { createSyncMiddleware } from "../src/server.js"
+
+/**
+ * Run the sync middleware on its own HTTP server in a fresh data dir.
+ * @param {number} port
+ * @param {import("../src/server.js").SyncMiddlewareOptions} [options]
+ */
+export const startSync = async (port, options = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "amrg-test-"))
+  const app = express()
+  const sync = createSyncMiddleware({ dataDir, ...options })
+  app.use(sync.router)
+  const httpServer = http.createServer(app)
+  sync.attach(httpServer)
+  await new Promise((resolve) => httpServer.listen(port, () => resolve(null)))
+  return {
+    sync,
+    dataDir,
+    baseUrl: `http://localhost:${port}`,
+    wsUrl: `ws://localhost:${port}`,
+    async stop() {
+      await sync.close()
+      httpServer.close()
+      fs.rmSync(dataDir, { recursive: true, force: true })
+    },
+  }
+}
+
+/**
+ * @param {string} url
+ * @param {any} body
+ * @param {Record<string, string>} [headers]
+ */
+export const postJSON = (url, body, headers = {}) =>
+  fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  })
+
+/**
+ * The `name=value` pairs of every Set-Cookie header on a response, joined
+ * into a Cookie request header.
+ * @param {Response} res
+ */
+export const cookiesFrom = (res) =>
+  res.headers
+    .getSetCookie()
+    .map((c) => c.split(";")[0])
+    .join("; ")
+
+/**
+ * A sync message carrying one local change on top of `doc`, as a client
+ * that already has the document would send it.
+ * @param {any} doc
+ * @param {(d: any) => void} fn
+ */
+export const changeMessage = (doc, fn) => {
+  let local = Automerge.change(Automerge.clone(doc), fn)
+  let remote = Automerge.clone(doc)
+  let localState = Automerge.initSyncState()
+  let remoteState = Automerge.initSyncState()
+  for (let i = 0; i < 10; i++) {
+    let msg
+    ;[localState, msg] = Automerge.generateSyncMessage(local, localState)
+    if (!msg) break
+    if (Automerge.decodeSyncMessage(msg).changes.length > 0) return msg
+    ;[remote, remoteState] = Automerge.receiveSyncMessage(
+      remote,
+      remoteState,
+      msg,
+    )
+    ;[remoteState, msg] = Automerge.generateSyncMessage(remote, remoteState)
+    if (msg)
+      [local, localState] = Automerge.receiveSyncMessage(local, localState, msg)
+  }
+  throw new Error("no change message generated")
+}
+
+/**
+ * Join over a raw socket and send one sync message for `documentId`.
+ * @param {string} wsUrl
+ * @param {string} documentId
+ * @param {Uint8Array} data
+ * @param {Record<string, string>} [headers]
+ */
+export const sendSync = async (wsUrl, documentId, data, headers = {}) => {
+  const ws = new WebSocket(wsUrl, { headers })
+  await new Promise((resolve) => ws.on("open", resolve))
+  ws.send(
+    cbor.encode({
+      type: "join",
+      senderId: "raw-client",
+      peerMetadata: {},
+      supportedProtocolVersions: ["1"],
+    }),
+  )
+  ws.send(
+    cbor.encode({
+      type: "sync",
+      senderId: "raw-client",
+      targetId: "server",
+      documentId,
+      data,
+    }),
+  )
+  await new Promise((resolve) => setTimeout(resolve, 200))
+  ws.terminate()
+}
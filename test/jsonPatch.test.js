@@ -0,0 +1,97 @@
+// @ts-check
+import assert from "assert"
+import * as Automerge from "@automerge/automerge"
+import { applyJsonPatch, parsePointer, PatchError } from "../src/jsonPatch.js"
+
+describe("JSON Patch", () => {
+  /**
+   * The patched document as plain JSON (counters become numbers).
+   * @param {any} initial
+   * @param {any[]} ops
+   */
+  const patched = (initial, ops) =>
+    JSON.parse(
+      JSON.stringify(
+        Automerge.change(Automerge.from(initial), (d) =>
+          applyJsonPatch(d, ops),
+        ),
+      ),
+    )
+
+  it("parses JSON Pointers with escapes", () => {
+    assert.deepEqual(parsePointer(""), [])
+    assert.deepEqual(parsePointer("/a~1b/~0c/0"), ["a/b", "~c", "0"])
+    assert.equal(parsePointer("no-slash"), null)
+  })
+
+  it("applies the RFC 6902 operations", () => {
+    const doc = patched({ nodes: [{ id: "a" }, { id: "b" }], meta: { k: 1 } }, [
+      { op: "add", path: "/nodes/-", value: { id: "c" } },
+      { op: "add", path: "/nodes/0", value: { id: "z" } },
+      { op: "remove", path: "/nodes/1" },
+      { op: "replace", path: "/meta/k", value: 2 },
+      { op: "copy", from: "/nodes/0", path: "/meta/first" },
+      { op: "move", from: "/meta/k", path: "/k" },
+      { op: "test", path: "/k", value: 2 },
+    ])
+    assert.deepEqual(doc, {
+      nodes: [{ id: "z" }, { id: "b" }, { id: "c" }],
+      meta: { first: { id: "z" } },
+      k: 2,
+    })
+  })
+
+  it("splices text and increments counters", () => {
+    const doc = patched({ title: "hello", nodes: [{ label: "ab" }] }, [
+      { op: "splice", path: "/title", index: 5, insert: " world" },
+      {
+        op: "splice",
+        path: "/nodes/0/label",
+        index: 0,
+        remove: 1,
+        insert: "A",
+      },
+      { op: "increment", path: "/views", value: 2 },
+      { op: "increment", path: "/views" },
+    ])
+    assert.deepEqual(doc, {
+      title: "hello world",
+      nodes: [{ label: "Ab" }],
+      views: 3,
+    })
+  })
+
+  it("rejects the whole patch when one operation fails", () => {
+    const doc = Automerge.from({ k: 1, title: "x" })
+    /** @param {any[]} ops */
+    const failure = (ops) => {
+      try {
+        Automerge.change(doc, (d) => applyJsonPatch(d, ops))
+      } catch (e) {
+        assert.ok(e instanceof PatchError)
+        return [e.code, e.index]
+      }
+      assert.fail("expected a PatchError")
+    }
+    assert.deepEqual(
+      failure([
+        { op: "add", path: "/n", value: 1 },
+        { op: "test", path: "/k", value: 2 },
+      ]),
+      ["test_failed", 1],
+    )
+    assert.deepEqual(failure([{ op: "remove", path: "/nope" }]), [
+      "path_not_found",
+      0,
+    ])
+    assert.deepEqual(failure([{ op: "increment", path: "/title" }]), [
+      "not_a_counter",
+      0,
+    ])
+    assert.deepEqual(failure([{ op: "frobnicate", path: "/k" }]), [
+      "unsupported_op",
+      0,
+    ])
+    assert.deepEqual(Automerge.toJS(doc), { k: 1, title: "x" })
+  })
+})
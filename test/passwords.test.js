@@ -0,0 +1,89 @@
+// @ts-check
+import assert from "assert"
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { after, before } from "mocha"
+import { hashPassword, verifyPassword } from "../src/passwords.js"
+import { postJSON, startSync } from "./helpers.js"
+
+/** The HMAC scheme ACL hashes used before scrypt, with no AUTH_TOKEN set */
+const legacyHash = (/** @type {string} */ pwd) =>
+  crypto.createHmac("sha256", "amrg_secret").update(`pwd:${pwd}`).digest("hex")
+
+describe("password hashing", () => {
+  it("produces salted, versioned scrypt hashes", async () => {
+    const a = await hashPassword("hunter2")
+    const b = await hashPassword("hunter2")
+    assert.match(a, /^scrypt\$1\$\d+\$\d+\$\d+\$[\w-]+\$[\w-]+$/)
+    assert.notEqual(a, b)
+  })
+
+  it("verifies scrypt hashes", async () => {
+    const hash = await hashPassword("hunter2")
+    assert.deepEqual(await verifyPassword("hunter2", hash), {
+      ok: true,
+      needsRehash: false,
+    })
+    assert.equal((await verifyPassword("hunter3", hash)).ok, false)
+    assert.equal((await verifyPassword("hunter2", "scrypt$9$x")).ok, false)
+  })
+
+  it("accepts legacy HMAC hashes and asks for a rehash", async () => {
+    const stored = legacyHash("hunter2")
+    assert.deepEqual(await verifyPassword("hunter2", stored, legacyHash), {
+      ok: true,
+      needsRehash: true,
+    })
+    assert.equal((await verifyPassword("nope", stored, legacyHash)).ok, false)
+    // Without the legacy scheme nothing but scrypt is accepted
+    assert.equal((await verifyPassword("hunter2", stored)).ok, false)
+  })
+})
+
+describe("ACL hash migration", () => {
+  /** @type {Awaited<ReturnType<typeof startSync>>} */
+  let ctx
+
+  before(async () => {
+    ctx = await startSync(3052)
+  })
+
+  after(() => ctx.stop())
+
+  const aclPath = () => path.join(ctx.dataDir, ".acl.json")
+
+  it("upgrades a legacy hash on the next successful doc login", async () => {
+    fs.writeFileSync(
+      aclPath(),
+      JSON.stringify({ legacydoc: { hash: legacyHash("pw") } }),
+    )
+
+    const wrong = await postJSON(`${ctx.baseUrl}/docs/legacydoc/login`, {
+      password: "nope",
+    })
+    assert.equal(wrong.status, 401)
+    assert.equal(
+      JSON.parse(fs.readFileSync(aclPath(), "utf8")).legacydoc.hash,
+      legacyHash("pw"),
+    )
+
+    const login = await postJSON(`${ctx.baseUrl}/docs/legacydoc/login`, {
+      password: "pw",
+    })
+    assert.equal(login.status, 200)
+    const upgraded = JSON.parse(fs.readFileSync(aclPath(), "utf8")).legacydoc
+    assert.match(upgraded.hash, /^scrypt\$/)
+
+    const again = await postJSON(`${ctx.baseUrl}/docs/legacydoc/login`, {
+      password: "pw",
+    })
+    assert.equal(again.status, 200)
+  })
+
+  it("stores scrypt hashes when protecting a document", async () => {
+    await postJSON(`${ctx.baseUrl}/docs/newdoc/protect`, { password: "pw" })
+    const entry = JSON.parse(fs.readFileSync(aclPath(), "utf8")).newdoc
+    assert.match(entry.hash, /^scrypt\$/)
+  })
+})
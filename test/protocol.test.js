@@ -0,0 +1,155 @@
+// @ts-check
+import assert from "assert"
+import * as Automerge from "@automerge/automerge"
+import { cbor, generateAutomergeUrl } from "@automerge/automerge-repo"
+import {
+  decodeMessage,
+  documentIdOf,
+  normalizeDocumentId,
+  resyncMessage,
+  withoutChanges,
+} from "../src/protocol.js"
+
+describe("protocol helpers", () => {
+  const url = generateAutomergeUrl()
+  const documentId = url.slice("automerge:".length)
+
+  /** @param {any} message */
+  const frame = (message) => Buffer.from(cbor.encode(message))
+
+  it("reads the documentId of sync, request and ephemeral messages", () => {
+    for (const type of ["sync", "request", "ephemeral"]) {
+      const message = decodeMessage(
+        frame({
+          type,
+          senderId: "client",
+          targetId: "server",
+          documentId,
+          data: new Uint8Array([1, 2, 3]),
+        }),
+      )
+      assert.equal(documentIdOf(message), documentId, type)
+    }
+  })
+
+  it("ignores peer-level messages and payload bytes", () => {
+    const join = decodeMessage(
+      frame({ type: "join", senderId: "client", peerMetadata: {} }),
+    )
+    assert.equal(documentIdOf(join), "")
+
+    // The ID appearing inside `data` must not be mistaken for the target doc
+    const other = generateAutomergeUrl().slice("automerge:".length)
+    const sync = decodeMessage(
+      frame({
+        type: "sync",
+        senderId: "client",
+        targetId: "server",
+        documentId: other,
+        data: Buffer.from(documentId),
+      }),
+    )
+    assert.equal(documentIdOf(sync), other)
+  })
+
+  it("returns null for frames that aren't CBOR messages", () => {
+    assert.equal(decodeMessage(Buffer.from("not cbor at all")), null)
+    assert.equal(decodeMessage(frame([1, 2, 3])), null)
+  })
+
+  it("normalizes automerge URLs and legacy UUIDs to bare IDs", () => {
+    assert.equal(normalizeDocumentId(url), documentId)
+    assert.equal(normalizeDocumentId(documentId), documentId)
+    assert.equal(normalizeDocumentId(` ${url} `), documentId)
+
+    const uuid = "6b4a5b9e-6a4f-4c7e-9d3b-2f1b7a0c8e11"
+    const fromUuid = normalizeDocumentId(uuid)
+    assert.notEqual(fromUuid, uuid)
+    assert.equal(normalizeDocumentId(`automerge:${fromUuid}`), fromUuid)
+
+    assert.equal(normalizeDocumentId("hand-written"), "hand-written")
+    assert.equal(normalizeDocumentId(undefined), "")
+  })
+
+  it("strips changes from sync messages but keeps the heads", () => {
+    const doc = Automerge.change(Automerge.init(), (/** @type {any} */ d) => {
+      d.x = 1
+    })
+    const [, data] = Automerge.generateSyncMessage(
+      doc,
+      Automerge.initSyncState(),
+    )
+    // The first message only advertises heads; answer it to get the changes
+    let peer = Automerge.init()
+    let peerState = Automerge.initSyncState()
+    ;[peer, peerState] = Automerge.receiveSyncMessage(
+      peer,
+      peerState,
+      /** @type {Uint8Array} */ (data),
+    )
+    const [, request] = Automerge.generateSyncMessage(peer, peerState)
+    const [, docState] = Automerge.receiveSyncMessage(
+      doc,
+      Automerge.initSyncState(),
+      /** @type {Uint8Array} */ (request),
+    )
+    const [, withChanges] = Automerge.generateSyncMessage(doc, docState)
+    assert.ok(Automerge.decodeSyncMessage(withChanges).changes.length > 0)
+
+    const message = { type: "sync", documentId: "x", data: withChanges }
+    const { message: stripped, dropped } = withoutChanges(message)
+    assert.equal(dropped, 1)
+    const decoded = Automerge.decodeSyncMessage(stripped.data)
+    assert.equal(decoded.changes.length, 0)
+    assert.deepEqual(decoded.heads, Automerge.getHeads(doc))
+    assert.equal(stripped.documentId, "x")
+  })
+
+  it("makes a peer offer stripped changes again after a resync", () => {
+    let local = Automerge.from({ n: [1] })
+    let remote = Automerge.clone(local)
+    let localState = Automerge.initSyncState()
+    let remoteState = Automerge.initSyncState()
+    /** Exchange messages until quiet, optionally stripping what local sends */
+    const pump = (strip = false) => {
+      for (let i = 0; i < 10; i++) {
+        let out, back
+        ;[localState, out] = Automerge.generateSyncMessage(local, localState)
+        if (out) {
+          if (strip) out = withoutChanges({ data: out }).message.data
+          ;[remote, remoteState] = Automerge.receiveSyncMessage(
+            remote,
+            remoteState,
+            /** @type {Uint8Array} */ (out),
+          )
+        }
+        ;[remoteState, back] = Automerge.generateSyncMessage(
+          remote,
+          remoteState,
+        )
+        if (back)
+          [local, localState] = Automerge.receiveSyncMessage(
+            local,
+            localState,
+            back,
+          )
+        if (!out && !back) break
+      }
+    }
+    pump()
+    local = Automerge.change(local, (d) => d.n.push(2))
+    pump(true)
+    local = Automerge.change(local, (d) => d.n.push(3))
+    pump()
+    assert.deepEqual(remote.n, [1])
+
+    const { data } = resyncMessage({
+      senderId: "server",
+      targetId: "client",
+      documentId: "x",
+    })
+    ;[local, localState] = Automerge.receiveSyncMessage(local, localState, data)
+    pump()
+    assert.deepEqual(remote.n, [1, 2, 3])
+  })
+})